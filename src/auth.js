@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const COOKIE_NAME = 'idugel_admin';
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_TIME_MS = 15 * 60 * 1000;
+/**
+ * Gera o hash de uma senha no formato scrypt$<salt>$<hash>
+ * @param {string} password - Senha em texto puro
+ * @returns {string} - Hash para o arquivo de usuários
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+/**
+ * Confere uma senha com o hash gravado
+ * @param {string} password - Senha informada
+ * @param {string} stored - Hash no formato scrypt$<salt>$<hash>
+ * @returns {boolean}
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+// Hash conferido quando o usuário não existe, para o tempo de resposta não revelar quem existe
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+/**
+ * Lê os cookies do cabeçalho da requisição
+ * @param {Object} req - Requisição do Express
+ * @returns {Object} - Cookies por nome
+ */
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // Valor com escape % inválido: ignora só esse cookie
+    }
+  }
+  return cookies;
+}
+/**
+ * Chave das tentativas de login: usuário e IP
+ *
+ * Atrás de um proxy sem TRUST_PROXY todos os clientes chegam com o mesmo IP;
+ * contar só por IP deixaria uma pessoa bloquear todos os administradores.
+ * @param {string} username
+ * @param {string} ip
+ * @returns {string}
+ */
+function attemptKey(username, ip) {
+  return `${String(username || '').trim().toLowerCase()}|${ip}`;
+}
+/**
+ * Autenticação da área administrativa
+ *
+ * Usuários locais com senha em hash (scrypt) vêm de um arquivo JSON.
+ * As sessões ficam em memória e são identificadas por um cookie HttpOnly;
+ * reiniciar o bot exige novo login.
+ */
+class AdminAuth {
+  /**
+   * @param {Object} options
+   * @param {Array<{username: string, passwordHash: string}>} options.users - Usuários permitidos
+   * @param {number} [options.sessionTtlHours=12] - Validade da sessão
+   * @param {boolean} [options.secureCookies=false] - Envia o cookie apenas por HTTPS
+   */
+  constructor({ users = [], sessionTtlHours = 12, secureCookies = false }) {
+    this.users = new Map(users.map(user => [user.username, user]));
+    this.sessionTtlMs = sessionTtlHours * 60 * 60 * 1000;
+    this.secureCookies = secureCookies;
+    this.sessions = new Map();
+    this.failedAttempts = new Map();
+  }
+  /**
+   * Carrega os usuários de um arquivo JSON ([{ username, passwordHash }])
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {Array<Object>} - Usuários, ou lista vazia se o arquivo não existir
+   */
+  static loadUsers(filePath) {
+    if (!fs.existsSync(filePath)) return [];
+    const users = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return users.filter(user => user.username && user.passwordHash);
+  }
+  /**
+   * Indica se há usuários configurados
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return this.users.size > 0;
+  }
+  /**
+   * Indica se o usuário está temporariamente bloqueado naquele IP por excesso de tentativas
+   * @param {string} username
+   * @param {string} ip
+   * @returns {boolean}
+   */
+  isLocked(username, ip) {
+    const key = attemptKey(username, ip);
+    const attempts = this.failedAttempts.get(key);
+    if (!attempts) return false;
+    if (attempts.lockedUntil && attempts.lockedUntil > Date.now()) return true;
+    if (attempts.lockedUntil) this.failedAttempts.delete(key);
+    return false;
+  }
+  /**
+   * Descarta as tentativas que já saíram da janela de bloqueio
+   *
+   * Sem isso, falhas espaçadas acabariam bloqueando o usuário e chaves de
+   * usuários inventados ficariam para sempre na memória.
+   * @param {number} [now=Date.now()]
+   * @returns {void}
+   */
+  pruneAttempts(now = Date.now()) {
+    for (const [key, attempts] of this.failedAttempts) {
+      const expiresAt = attempts.lockedUntil || attempts.lastFailedAt + LOCK_TIME_MS;
+      if (expiresAt <= now) this.failedAttempts.delete(key);
+    }
+  }
+  /**
+   * Valida usuário e senha e abre uma sessão
+   * @param {string} username
+   * @param {string} password
+   * @param {string} ip - IP de origem; as tentativas são limitadas por usuário e IP
+   * @returns {string|null} - Token da sessão ou null se inválido
+   */
+  login(username, password, ip) {
+    if (this.isLocked(username, ip)) return null;
+
+    const key = attemptKey(username, ip);
+    const user = this.users.get(String(username || ''));
+    const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      const now = Date.now();
+      this.pruneAttempts(now);
+
+      const attempts = this.failedAttempts.get(key) || { count: 0, lockedUntil: null, lastFailedAt: now };
+      attempts.count++;
+      attempts.lastFailedAt = now;
+      if (attempts.count >= MAX_FAILED_ATTEMPTS) {
+        attempts.lockedUntil = now + LOCK_TIME_MS;
+      }
+      this.failedAttempts.set(key, attempts);
+      return null;
+    }
+
+    this.failedAttempts.delete(key);
+    const token = crypto.randomBytes(32).toString('hex');
+    this.sessions.set(token, {
+      username: user.username,
+      expiresAt: Date.now() + this.sessionTtlMs
+    });
+    return token;
+  }
+  /**
+   * Busca a sessão válida da requisição
+   * @param {Object} req - Requisição do Express
+   * @returns {Object|null} - Sessão ({ username, expiresAt }) ou null
+   */
+  getSession(req) {
+    const token = parseCookies(req)[COOKIE_NAME];
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+  /**
+   * Encerra a sessão da requisição
+   * @param {Object} req - Requisição do Express
+   */
+  logout(req) {
+    const token = parseCookies(req)[COOKIE_NAME];
+    if (token) this.sessions.delete(token);
+  }
+  /**
+   * Grava o cookie de sessão na resposta
+   * @param {Object} res - Resposta do Express
+   * @param {string} token - Token da sessão
+   */
+  setCookie(res, token) {
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: this.secureCookies,
+      maxAge: this.sessionTtlMs,
+      path: '/'
+    });
+  }
+  /**
+   * Remove o cookie de sessão da resposta
+   * @param {Object} res - Resposta do Express
+   */
+  clearCookie(res) {
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+  }
+  /**
+   * Middleware que exige sessão: páginas redirecionam para o login, APIs recebem 401
+   * @returns {Function} - Middleware do Express
+   */
+  requireAuth() {
+    return (req, res, next) => {
+      const session = this.getSession(req);
+      if (session) {
+        req.adminUser = session.username;
+        return next();
+      }
+
+      if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      }
+      res.status(401).json({ error: 'Não autenticado' });
+    };
+  }
+}
+
+/**
+ * Lê os tokens da API no formato "cliente:token,cliente2:token2"
+ * @param {string} value - Conteúdo da variável de ambiente
+ * @returns {Array<{client: string, token: string}>}
+ */
+function parseApiTokens(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const index = entry.indexOf(':');
+      return index === -1
+        ? { client: 'api', token: entry }
+        : { client: entry.slice(0, index).trim(), token: entry.slice(index + 1).trim() };
+    })
+    .filter(entry => entry.token);
+}
+/**
+ * Middleware que exige um token de API no cabeçalho Authorization: Bearer <token>
+ *
+ * Usado pelos sistemas internos (ERP, CRM), que não fazem login na área administrativa.
+ * @param {Array<{client: string, token: string}>} tokens - Tokens permitidos
+ * @returns {Function} - Middleware do Express
+ */
+function requireApiToken(tokens) {
+  const hashed = tokens.map(entry => ({
+    client: entry.client,
+    digest: crypto.createHash('sha256').update(entry.token).digest()
+  }));
+
+  return (req, res, next) => {
+    const match = String(req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match || hashed.length === 0) {
+      return res.status(401).json({ error: 'Token de API ausente ou inválido' });
+    }
+
+    // Compara os hashes para o tempo de resposta não depender do token enviado
+    const digest = crypto.createHash('sha256').update(match[1].trim()).digest();
+    const entry = hashed.find(candidate => crypto.timingSafeEqual(candidate.digest, digest));
+    if (!entry) {
+      return res.status(401).json({ error: 'Token de API ausente ou inválido' });
+    }
+
+    req.apiClient = entry.client;
+    next();
+  };
+}
+
+// Uso: node src/auth.js <senha>  →  imprime o hash para o arquivo de usuários
+if (require.main === module) {
+  const password = process.argv[2];
+  if (!password) {
+    console.error('Uso: node src/auth.js <senha>');
+    process.exit(1);
+  }
+  console.log(hashPassword(password));
+}
+
+module.exports = {
+  AdminAuth,
+  hashPassword,
+  verifyPassword,
+  parseApiTokens,
+  requireApiToken
+};
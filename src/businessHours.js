@@ -0,0 +1,259 @@
+const fs = require('fs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+const WEEKDAY_NAMES = ['domingo', 'segunda-feira', 'terça-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sábado'];
+
+// Feriados nacionais de data fixa (MM-DD)
+const NATIONAL_HOLIDAYS = {
+  '01-01': 'Confraternização Universal',
+  '04-21': 'Tiradentes',
+  '05-01': 'Dia do Trabalho',
+  '09-07': 'Independência do Brasil',
+  '10-12': 'Nossa Senhora Aparecida',
+  '11-02': 'Finados',
+  '11-15': 'Proclamação da República',
+  '11-20': 'Dia Nacional de Zumbi e da Consciência Negra',
+  '12-25': 'Natal'
+};
+
+// Feriados estaduais; os de Santa Catarina são comemorados no domingo seguinte à data
+const STATE_HOLIDAYS = {
+  SC: [
+    { month: 8, day: 11, name: 'Data Magna de Santa Catarina', nextSunday: true },
+    { month: 11, day: 25, name: 'Dia de Santa Catarina', nextSunday: true }
+  ]
+};
+/**
+ * Data (meia-noite UTC) de um dia do calendário
+ * @param {number} year
+ * @param {number} month - 1 a 12
+ * @param {number} day
+ * @returns {number} - Timestamp do dia
+ */
+function civilDay(year, month, day) {
+  return Date.UTC(year, month - 1, day);
+}
+/**
+ * Formata um dia do calendário como YYYY-MM-DD
+ * @param {number} day - Timestamp do dia
+ * @returns {string}
+ */
+function isoDay(day) {
+  return new Date(day).toISOString().substring(0, 10);
+}
+/**
+ * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+ * @param {number} year
+ * @returns {number} - Timestamp do dia
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return civilDay(year, month, day);
+}
+/**
+ * Converte "08:00-12:00" em minutos desde a meia-noite
+ * @param {string} range - Intervalo no formato HH:MM-HH:MM
+ * @returns {{start: number, end: number}}
+ * @throws {Error} - Se o formato for inválido
+ */
+function parseRange(range) {
+  const match = String(range).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`Horário inválido: ${range} (use HH:MM-HH:MM)`);
+  }
+  const [, h1, m1, h2, m2] = match.map(Number);
+  return { start: h1 * 60 + m1, end: h2 * 60 + m2 };
+}
+/**
+ * Formata minutos desde a meia-noite como 8h ou 13h30
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours}h${String(rest).padStart(2, '0')}` : `${hours}h`;
+}
+/**
+ * Horário de atendimento: expediente semanal, feriados e fechamentos avulsos
+ *
+ * Todas as contas são feitas no fuso configurado, independente do fuso do
+ * servidor. Sem arquivo de configuração o bot considera o atendimento sempre aberto.
+ */
+class BusinessHours {
+  /**
+   * @param {Object} config
+   * @param {string} [config.timezone='America/Sao_Paulo'] - Fuso do expediente
+   * @param {Object<string, string[]>} config.weekly - Intervalos por dia (domingo, segunda, terca... sabado)
+   * @param {Object} [config.holidays] - { national: true, state: 'SC', optional: false }
+   * @param {Array<{date?: string, from?: string, to?: string, reason?: string}>} [config.closures] - Fechamentos avulsos (YYYY-MM-DD)
+   */
+  constructor({ timezone = 'America/Sao_Paulo', weekly = {}, holidays = {}, closures = [] }) {
+    this.timezone = timezone;
+    this.weekly = WEEKDAYS.map(name => (weekly[name] || []).map(parseRange).sort((a, b) => a.start - b.start));
+    this.holidays = { national: true, state: null, optional: false, ...holidays };
+    this.closures = closures.map(closure => ({
+      from: closure.date || closure.from,
+      to: closure.date || closure.to || closure.from,
+      reason: closure.reason || 'Fechamento programado'
+    }));
+    this.holidayCache = new Map();
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+  /**
+   * Carrega a configuração de um arquivo JSON
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {BusinessHours|null} - null se o arquivo não existir
+   */
+  static load(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    return new BusinessHours(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+  /**
+   * Dia e hora locais de um instante, no fuso do expediente
+   * @param {Date} date
+   * @returns {{day: number, minutes: number}}
+   */
+  localTime(date) {
+    const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+    return {
+      day: civilDay(Number(parts.year), Number(parts.month), Number(parts.day)),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+  /**
+   * Instante correspondente a um horário local
+   * @param {number} day - Timestamp do dia
+   * @param {number} minutes - Minutos desde a meia-noite
+   * @returns {Date}
+   */
+  toDate(day, minutes) {
+    const guess = day + minutes * 60 * 1000;
+    const local = this.localTime(new Date(guess));
+    const offset = local.day + local.minutes * 60 * 1000 - guess;
+    return new Date(guess - offset);
+  }
+  /**
+   * Feriados de um ano, conforme a configuração
+   * @param {number} year
+   * @returns {Map<string, string>} - YYYY-MM-DD → nome do feriado
+   */
+  holidaysOf(year) {
+    if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+
+    const holidays = new Map();
+    if (this.holidays.national) {
+      for (const [date, name] of Object.entries(NATIONAL_HOLIDAYS)) {
+        holidays.set(`${year}-${date}`, name);
+      }
+      holidays.set(isoDay(easterSunday(year) - 2 * DAY_MS), 'Sexta-feira Santa');
+    }
+    // Pontos facultativos que costumam fechar o comércio e a indústria
+    if (this.holidays.optional) {
+      const easter = easterSunday(year);
+      holidays.set(isoDay(easter - 48 * DAY_MS), 'Carnaval');
+      holidays.set(isoDay(easter - 47 * DAY_MS), 'Carnaval');
+      holidays.set(isoDay(easter + 60 * DAY_MS), 'Corpus Christi');
+    }
+    for (const holiday of STATE_HOLIDAYS[this.holidays.state] || []) {
+      let day = civilDay(year, holiday.month, holiday.day);
+      if (holiday.nextSunday) {
+        day += ((7 - new Date(day).getUTCDay()) % 7) * DAY_MS;
+      }
+      holidays.set(isoDay(day), holiday.name);
+    }
+
+    this.holidayCache.set(year, holidays);
+    return holidays;
+  }
+  /**
+   * Motivo do fechamento de um dia inteiro (feriado ou fechamento avulso)
+   * @param {number} day - Timestamp do dia
+   * @returns {string|null}
+   */
+  closedReason(day) {
+    const date = isoDay(day);
+    const closure = this.closures.find(item => date >= item.from && date <= item.to);
+    if (closure) return closure.reason;
+    return this.holidaysOf(new Date(day).getUTCFullYear()).get(date) || null;
+  }
+  /**
+   * Próxima abertura depois de um horário local
+   * @param {number} day - Timestamp do dia
+   * @param {number} minutes - Minutos desde a meia-noite
+   * @returns {Date|null} - null se não houver expediente no próximo ano
+   */
+  nextOpening(day, minutes) {
+    for (let offset = 0; offset <= 370; offset++) {
+      const current = day + offset * DAY_MS;
+      if (this.closedReason(current)) continue;
+
+      const interval = this.weekly[new Date(current).getUTCDay()].find(item => offset > 0 || item.start > minutes);
+      if (interval) return this.toDate(current, interval.start);
+    }
+    return null;
+  }
+  /**
+   * Situação do atendimento em um instante
+   * @param {Date} [date=new Date()]
+   * @returns {{open: boolean, reason: string|null, nextOpen: Date|null}} - reason é o feriado ou fechamento, se houver
+   */
+  status(date = new Date()) {
+    const { day, minutes } = this.localTime(date);
+    const reason = this.closedReason(day);
+    const open = !reason && this.weekly[new Date(day).getUTCDay()].some(item => minutes >= item.start && minutes < item.end);
+
+    return {
+      open,
+      reason,
+      nextOpen: open ? null : this.nextOpening(day, minutes)
+    };
+  }
+  /**
+   * Descreve quando o atendimento volta: "hoje às 13h30", "amanhã às 8h", "segunda-feira (20/10) às 8h"
+   * @param {Date} opening - Próxima abertura
+   * @param {Date} [now=new Date()]
+   * @returns {string}
+   */
+  describe(opening, now = new Date()) {
+    if (!opening) return 'em breve';
+
+    const target = this.localTime(opening);
+    const today = this.localTime(now).day;
+    const time = formatTime(target.minutes);
+
+    if (target.day === today) return `hoje às ${time}`;
+    if (target.day === today + DAY_MS) return `amanhã às ${time}`;
+
+    const date = new Date(target.day);
+    const label = `${String(date.getUTCDate()).padStart(2, '0')}/${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    return `${WEEKDAY_NAMES[date.getUTCDay()]} (${label}) às ${time}`;
+  }
+}
+
+module.exports = {
+  BusinessHours,
+  easterSunday
+};
@@ -1,23 +1,55 @@
 const fs = require('fs-extra');
 const path = require('path');
 const pdfParse = require('pdf-parse');
+const { chunkText, Bm25Scorer } = require('./retrieval');
+
+const SUPPORTED_EXTENSIONS = ['.pdf', '.txt', '.md', '.json'];
 /**
  * Gerenciador de conteúdo personalizado
+ *
+ * Cada arquivo do diretório tem sua própria entrada em `files`. Alterações
+ * reprocessam apenas o arquivo afetado; o índice de busca é remontado a
+ * partir das entradas e trocado de uma só vez em `this.content`, para que
+ * nenhuma busca veja um índice pela metade.
  */
 class ContentManager {
   constructor() {
     this.content = {
       text: [],
-      embeddings: []
+      chunks: [],
+      indexes: [],
+      indexedAt: null
     };
+    this.files = new Map();
+    this.contentPath = null;
+    this.watcher = null;
+    this.pendingChanges = new Map();
+    this.reindexing = Promise.resolve();
+    this.chunkSize = parseInt(process.env.CONTENT_CHUNK_SIZE || 800);
+    this.chunkOverlap = parseInt(process.env.CONTENT_CHUNK_OVERLAP || 150);
+    this.topK = parseInt(process.env.CONTENT_TOP_K || 4);
+    // BM25 é sempre usado; outros pontuadores (ex.: embeddings) entram via useScorer
+    this.scorers = [{ scorer: new Bm25Scorer(), weight: 1 }];
+  }
+  /**
+   * Registra um pontuador adicional para a busca
+   * @param {Object} scorer - Pontuador com index(chunks) e score(index, query)
+   * @param {number} [weight=1] - Peso da pontuação normalizada na combinação
+   */
+  useScorer(scorer, weight = 1) {
+    this.scorers.push({ scorer, weight });
   }
   /**
    * Carrega o conteúdo personalizado de um diretório
+   *
+   * Pode ser chamado novamente: as entradas anteriores são substituídas.
    * @param {string} contentPath - Caminho para o diretório de conteúdo
    * @returns {Promise<void>}
    */
   async loadContent(contentPath) {
     try {
+      this.contentPath = contentPath;
+
       // Verifica se o diretório existe
       if (!fs.existsSync(contentPath)) {
         fs.mkdirSync(contentPath, { recursive: true });
@@ -25,152 +57,363 @@ class ContentManager {
         return;
       }
       console.log(`Carregando conteúdo de: ${contentPath}`);
-      
+
       // Lê todos os arquivos do diretório
       const files = await fs.readdir(contentPath);
-      
-      // Processa cada arquivo
+      const entries = new Map();
+
+      // Processa cada arquivo; um arquivo com erro não impede os demais
       for (const file of files) {
-        const filePath = path.join(contentPath, file);
-        const stats = await fs.stat(filePath);
-        
-        // Ignora diretórios
-        if (stats.isDirectory()) continue;
-        
-        // Processa o arquivo com base na extensão
-        const ext = path.extname(file).toLowerCase();
-        
-        if (ext === '.pdf') {
-          await this.processPdf(filePath);
-        } else if (ext === '.txt' || ext === '.md') {
-          await this.processTextFile(filePath);
-        } else if (ext === '.json') {
-          await this.processJsonFile(filePath);
-        } else {
-          console.log(`Tipo de arquivo não suportado: ${file}`);
+        try {
+          const entry = await this.processFile(path.join(contentPath, file));
+          if (entry) entries.set(file, entry);
+        } catch (error) {
+          // Numa recarga completa, a versão anterior do arquivo continua valendo
+          const previous = this.files.get(file);
+          if (previous) {
+            previous.error = error.message;
+            entries.set(file, previous);
+          }
         }
       }
-      
-      console.log(`Total de conteúdo carregado: ${this.content.text.length} itens`);
+
+      this.files = entries;
+      await this.queueReindex();
+
+      console.log(`Total de conteúdo carregado: ${this.content.text.length} itens, ${this.content.chunks.length} trechos`);
     } catch (error) {
       console.error('Erro ao carregar conteúdo:', error);
       throw error;
     }
   }
+  /**
+   * Observa o diretório de conteúdo e reindexa os arquivos alterados
+   * @returns {void}
+   */
+  watch() {
+    if (!this.contentPath || this.watcher) return;
+
+    this.watcher = fs.watch(this.contentPath, (eventType, file) => {
+      if (!file) return;
+
+      // Editores costumam disparar vários eventos seguidos para o mesmo arquivo
+      clearTimeout(this.pendingChanges.get(file));
+      this.pendingChanges.set(file, setTimeout(() => {
+        this.pendingChanges.delete(file);
+        this.reloadFile(file).catch(error => {
+          console.error(`Erro ao recarregar ${file}:`, error);
+        });
+      }, 500));
+    });
+
+    console.log(`Observando alterações em: ${this.contentPath}`);
+  }
+  /**
+   * Para de observar o diretório de conteúdo
+   * @returns {void}
+   */
+  unwatch() {
+    if (!this.watcher) return;
+    this.watcher.close();
+    this.watcher = null;
+    for (const timer of this.pendingChanges.values()) clearTimeout(timer);
+    this.pendingChanges.clear();
+  }
+  /**
+   * Atualiza a entrada de um único arquivo (adicionado, alterado ou removido)
+   *
+   * Se o arquivo existe mas não pôde ser lido (salvo pela metade, JSON com erro),
+   * a entrada anterior é mantida; ela só sai do índice quando o arquivo é apagado.
+   * @param {string} file - Nome do arquivo dentro do diretório de conteúdo
+   * @returns {Promise<void>}
+   */
+  async reloadFile(file) {
+    const filePath = path.join(this.contentPath, file);
+    let entry = null;
+
+    if (fs.existsSync(filePath)) {
+      try {
+        entry = await this.processFile(filePath);
+      } catch (error) {
+        const previous = this.files.get(file);
+        if (previous) {
+          previous.error = error.message;
+          console.log(`Mantendo a versão anterior de ${file} até o arquivo ser corrigido`);
+        }
+        return;
+      }
+    }
+
+    if (entry) {
+      this.files.set(file, entry);
+      console.log(`Conteúdo atualizado: ${file} (${entry.items.length} itens)`);
+    } else if (this.files.delete(file)) {
+      console.log(`Conteúdo removido: ${file}`);
+    } else {
+      return;
+    }
+
+    await this.queueReindex();
+  }
+  /**
+   * Processa um arquivo com base na extensão
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {Promise<Object|null>} - Entrada do arquivo, ou null se ignorado
+   */
+  async processFile(filePath) {
+    const file = path.basename(filePath);
+    const stats = await fs.stat(filePath);
+
+    // Ignora diretórios
+    if (stats.isDirectory()) return null;
+
+    const ext = path.extname(file).toLowerCase();
+    let items;
+
+    if (ext === '.pdf') {
+      items = await this.processPdf(filePath);
+    } else if (ext === '.txt' || ext === '.md') {
+      items = await this.processTextFile(filePath);
+    } else if (ext === '.json') {
+      items = await this.processJsonFile(filePath);
+    } else {
+      console.log(`Tipo de arquivo não suportado: ${file}`);
+      return null;
+    }
+
+    const chunks = [];
+    for (const item of items) {
+      chunkText(item.text, { size: this.chunkSize, overlap: this.chunkOverlap }).forEach(text => {
+        chunks.push({ source: item.source, type: item.type, text });
+      });
+    }
+
+    return {
+      source: file,
+      size: stats.size,
+      modifiedAt: stats.mtime.toISOString(),
+      items,
+      chunks,
+      indexedAt: null
+    };
+  }
   /**
    * Processa um arquivo PDF
    * @param {string} filePath - Caminho para o arquivo PDF
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} - Itens extraídos
    */
   async processPdf(filePath) {
     try {
       console.log(`Processando PDF: ${filePath}`);
-      
+
       // Lê o arquivo PDF
       const dataBuffer = await fs.readFile(filePath);
-      
+
       // Extrai o texto do PDF
       const data = await pdfParse(dataBuffer);
-      
-      // Adiciona o texto ao conteúdo
-      this.content.text.push({
+
+      console.log(`PDF processado: ${filePath}`);
+
+      return [{
         source: path.basename(filePath),
         text: data.text,
         type: 'pdf'
-      });
-      
-      console.log(`PDF processado: ${filePath}`);
+      }];
     } catch (error) {
       console.error(`Erro ao processar PDF ${filePath}:`, error);
+      throw error;
     }
   }
   /**
    * Processa um arquivo de texto
    * @param {string} filePath - Caminho para o arquivo de texto
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} - Itens extraídos
    */
   async processTextFile(filePath) {
     try {
       console.log(`Processando arquivo de texto: ${filePath}`);
-      
+
       // Lê o arquivo de texto
       const text = await fs.readFile(filePath, 'utf8');
-      
-      // Adiciona o texto ao conteúdo
-      this.content.text.push({
+
+      console.log(`Arquivo de texto processado: ${filePath}`);
+
+      return [{
         source: path.basename(filePath),
         text,
         type: 'text'
-      });
-      
-      console.log(`Arquivo de texto processado: ${filePath}`);
+      }];
     } catch (error) {
       console.error(`Erro ao processar arquivo de texto ${filePath}:`, error);
+      throw error;
     }
   }
   /**
    * Processa um arquivo JSON
    * @param {string} filePath - Caminho para o arquivo JSON
-   * @returns {Promise<void>}
+   * @returns {Promise<Array>} - Itens extraídos
    */
   async processJsonFile(filePath) {
     try {
       console.log(`Processando arquivo JSON: ${filePath}`);
-      
+
       // Lê o arquivo JSON
       const jsonContent = await fs.readFile(filePath, 'utf8');
       const data = JSON.parse(jsonContent);
-      
+      let items;
+
       // Verifica se o JSON tem o formato esperado
       if (Array.isArray(data) && data.every(item => typeof item.text === 'string')) {
-        // Adiciona cada item ao conteúdo
-        for (const item of data) {
-          this.content.text.push({
-            source: path.basename(filePath),
-            text: item.text,
-            type: 'json',
-            metadata: item.metadata || {}
-          });
-        }
+        // Um item por entrada do array
+        items = data.map(item => ({
+          source: path.basename(filePath),
+          text: item.text,
+          type: 'json',
+          metadata: item.metadata || {}
+        }));
       } else {
         // Adiciona o JSON como texto
-        this.content.text.push({
+        items = [{
           source: path.basename(filePath),
           text: JSON.stringify(data, null, 2),
           type: 'json'
-        });
+        }];
       }
-      
+
       console.log(`Arquivo JSON processado: ${filePath}`);
+      return items;
     } catch (error) {
       console.error(`Erro ao processar arquivo JSON ${filePath}:`, error);
+      throw error;
     }
   }
   /**
-   * Busca conteúdo relevante para uma consulta
+   * Enfileira uma reindexação, garantindo que duas nunca rodem ao mesmo tempo
+   * @returns {Promise<void>}
+   */
+  queueReindex() {
+    this.reindexing = this.reindexing
+      .catch(() => {})
+      .then(() => this.buildIndex());
+    return this.reindexing;
+  }
+  /**
+   * Monta um novo índice a partir das entradas por arquivo e o publica de uma vez
+   * @returns {Promise<void>}
+   */
+  async buildIndex() {
+    const entries = [...this.files.values()];
+    const text = entries.flatMap(entry => entry.items);
+    const chunks = entries.flatMap(entry => entry.chunks);
+    const indexes = [];
+
+    for (const { scorer } of this.scorers) {
+      try {
+        indexes.push(await scorer.index(chunks));
+      } catch (error) {
+        console.error(`Erro ao indexar conteúdo com ${scorer.name}:`, error);
+        indexes.push(null);
+      }
+    }
+
+    const indexedAt = new Date().toISOString();
+    for (const entry of entries) {
+      if (!entry.indexedAt) entry.indexedAt = indexedAt;
+    }
+
+    // Troca atômica: buscas em andamento continuam usando o índice anterior
+    this.content = { text, chunks, indexes, indexedAt };
+  }
+  /**
+   * Indica se há conteúdo carregado
+   * @returns {boolean}
+   */
+  hasContent() {
+    return this.content.chunks.length > 0;
+  }
+  /**
+   * Resumo do conteúdo carregado, por arquivo
+   * @returns {Object} - Situação do índice
+   */
+  getStatus() {
+    return {
+      path: this.contentPath,
+      watching: Boolean(this.watcher),
+      indexed_at: this.content.indexedAt,
+      total_items: this.content.text.length,
+      total_chunks: this.content.chunks.length,
+      scorers: this.scorers.map(({ scorer, weight }) => ({ name: scorer.name, weight })),
+      supported_extensions: SUPPORTED_EXTENSIONS,
+      files: [...this.files.values()].map(entry => ({
+        source: entry.source,
+        size: entry.size,
+        modified_at: entry.modifiedAt,
+        items: entry.items.length,
+        chunks: entry.chunks.length,
+        indexed_at: entry.indexedAt,
+        error: entry.error || null
+      }))
+    };
+  }
+  /**
+   * Busca os trechos mais relevantes para uma consulta
+   *
+   * A pontuação de cada pontuador é normalizada pelo maior valor obtido
+   * e combinada pela soma ponderada.
    * @param {string} query - Consulta para buscar conteúdo relevante
-   * @returns {string} - Conteúdo relevante encontrado
+   * @param {Object} [options]
+   * @param {number} [options.topK] - Quantidade máxima de trechos
+   * @returns {Promise<Array<{source: string, text: string, score: number}>>} - Trechos ordenados por relevância
    */
-  searchContent(query) {
-    // Implementação simples de busca por palavras-chave
-    // Em uma implementação mais avançada, seria usado embeddings e busca semântica
-    
-    const keywords = query.toLowerCase().split(/\s+/);
-    
-    // Filtra o conteúdo que contém as palavras-chave
-    const relevantContent = this.content.text
-      .filter(item => {
-        const text = item.text.toLowerCase();
-        return keywords.some(keyword => text.includes(keyword));
-      })
-      .map(item => item.text)
+  async searchContent(query, { topK = this.topK } = {}) {
+    // Captura o índice atual para que uma recarga no meio da busca não o altere
+    const { chunks, indexes } = this.content;
+    if (!query || chunks.length === 0) return [];
+
+    const combined = new Array(chunks.length).fill(0);
+
+    for (let i = 0; i < this.scorers.length; i++) {
+      const { scorer, weight } = this.scorers[i];
+      if (!indexes[i]) continue;
+
+      let scores;
+      try {
+        scores = await scorer.score(indexes[i], query);
+      } catch (error) {
+        console.error(`Erro ao pontuar consulta com ${scorer.name}:`, error);
+        continue;
+      }
+
+      if (scores.length !== chunks.length) continue;
+
+      const max = Math.max(...scores);
+      if (max <= 0) continue;
+
+      scores.forEach((score, index) => {
+        combined[index] += weight * (score / max);
+      });
+    }
+
+    return combined
+      .map((score, index) => ({ index, score }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ index, score }) => ({
+        source: chunks[index].source,
+        text: chunks[index].text,
+        score: Number(score.toFixed(4))
+      }));
+  }
+  /**
+   * Formata os trechos encontrados para envio ao modelo, com a fonte de cada um
+   * @param {Array<{source: string, text: string, score: number}>} results - Resultado de searchContent
+   * @returns {string} - Conteúdo relevante formatado
+   */
+  formatResults(results) {
+    return results
+      .map(result => `[Fonte: ${result.source}]\n${result.text}`)
       .join('\n\n');
-    
-    // Limita o tamanho do conteúdo para não exceder o limite de tokens da API
-    return relevantContent.length > 4000 
-      ? relevantContent.substring(0, 4000) + '...'
-      : relevantContent;
   }
 }
 module.exports = new ContentManager();
-
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./retrieval');
+const { toJid } = require('./handoffManager');
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const WEEKDAY_NAMES = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+const AFFIRMATIVE = ['sim', 's', 'pode', 'pode sim', 'quero', 'ok', 'claro', 'encaminhe', 'encaminha', 'por favor'];
+const NEGATIVE = ['nao', 'n', 'nao precisa', 'nao obrigado', 'nao obrigada', 'dispenso'];
+/**
+ * Normaliza o texto em termos separados por um espaço, com espaços nas pontas,
+ * para comparar palavras e expressões inteiras
+ * @param {string} text
+ * @returns {string}
+ */
+function toPhraseSpace(text) {
+  return ` ${normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean).join(' ')} `;
+}
+/**
+ * Roteamento de assuntos para os departamentos (RH, financeiro, compras, entregas)
+ *
+ * Responde perguntas de roteamento direto da tabela de configuração, sem
+ * chamar o assistente, e encaminha a mensagem do cliente ao WhatsApp do
+ * departamento quando ele aceita.
+ */
+class DepartmentRouter {
+  constructor() {
+    this.timezone = 'America/Sao_Paulo';
+    this.forwardTimeoutMs = 10 * 60 * 1000;
+    this.departments = [];
+    this.pendingForwards = new Map();
+    this.businessHours = null;
+  }
+  /**
+   * Usa o calendário da empresa (feriados e fechamentos avulsos) junto com o horário de cada departamento
+   * @param {Object|null} businessHours - Instância de BusinessHours, ou null para ignorar o calendário
+   * @returns {void}
+   */
+  useBusinessHours(businessHours) {
+    this.businessHours = businessHours;
+  }
+  /**
+   * Motivo de o dia inteiro estar fechado no calendário da empresa
+   * @param {Date} [date=new Date()]
+   * @returns {string|null} - Feriado ou fechamento, ou null
+   */
+  closedReason(date = new Date()) {
+    if (!this.businessHours) return null;
+    return this.businessHours.closedReason(this.businessHours.localTime(date).day);
+  }
+  /**
+   * Carrega a tabela de departamentos de um arquivo JSON ou YAML
+   * @param {string} filePath - Caminho do arquivo de configuração
+   * @returns {void}
+   */
+  load(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    const config = ext === '.yaml' || ext === '.yml' ? require('yaml').parse(raw) : JSON.parse(raw);
+
+    this.timezone = config.timezone || this.timezone;
+    this.forwardTimeoutMs = (config.forwardTimeoutMinutes || 10) * 60 * 1000;
+    this.departments = (config.departments || []).map(department => ({
+      ...department,
+      keywords: (department.keywords || []).map(keyword => toPhraseSpace(keyword)).filter(keyword => keyword.trim()),
+      weakKeywords: (department.weakKeywords || []).map(keyword => toPhraseSpace(keyword)).filter(keyword => keyword.trim()),
+      whatsappJid: toJid(department.whatsapp),
+      hours: department.hours || []
+    }));
+
+    console.log(`Departamentos carregados: ${this.departments.map(department => department.id).join(', ')}`);
+  }
+  /**
+   * Identifica o departamento pela maior pontuação de palavras-chave encontradas
+   *
+   * Palavras-chave fracas (`weakKeywords`, termos comuns também em conversas de
+   * venda, como "pagamento") só contam junto com outra palavra-chave do mesmo
+   * departamento; sozinhas não desviam a conversa do assistente.
+   * @param {string} text - Mensagem do cliente
+   * @returns {{department: Object, matches: string[]}|null} - Departamento ou null
+   */
+  classify(text) {
+    const haystack = toPhraseSpace(text);
+    let best = null;
+
+    for (const department of this.departments) {
+      const strong = department.keywords.filter(keyword => haystack.includes(keyword));
+      const weak = department.weakKeywords.filter(keyword => haystack.includes(keyword));
+      if (strong.length === 0 && weak.length < 2) continue;
+
+      const score = strong.length * 2 + weak.length;
+      if (!best || score > best.score) {
+        best = { department, score, matches: [...strong, ...weak].map(match => match.trim()) };
+      }
+    }
+
+    if (best) delete best.score;
+
+    return best;
+  }
+  /**
+   * Dia da semana e minutos desde a meia-noite no fuso configurado
+   * @param {Date} date
+   * @returns {{weekday: number, minutes: number}}
+   */
+  localTime(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const get = type => parts.find(part => part.type === type).value;
+    return {
+      weekday: WEEKDAYS[get('weekday')],
+      minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+    };
+  }
+  /**
+   * Indica se o departamento está em horário de atendimento
+   * @param {Object} department - Departamento
+   * @param {Date} [date=new Date()] - Momento a verificar
+   * @returns {boolean}
+   */
+  isOpen(department, date = new Date()) {
+    if (this.closedReason(date)) return false;
+    if (department.hours.length === 0) return true;
+
+    const { weekday, minutes } = this.localTime(date);
+    const toMinutes = value => {
+      const [hours, mins] = value.split(':').map(Number);
+      return hours * 60 + mins;
+    };
+
+    return department.hours.some(slot =>
+      slot.days.includes(weekday) && minutes >= toMinutes(slot.start) && minutes < toMinutes(slot.end)
+    );
+  }
+  /**
+   * Descreve o horário de atendimento em texto
+   * @param {Object} department - Departamento
+   * @returns {string}
+   */
+  describeHours(department) {
+    return department.hours
+      .map(slot => {
+        const days = slot.days.length === 5 && slot.days.every((day, i) => day === i + 1)
+          ? 'segunda a sexta'
+          : slot.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+        return `${days}, das ${slot.start} às ${slot.end}`;
+      })
+      .join('; ');
+  }
+  /**
+   * Monta a resposta com os contatos do departamento
+   * @param {Object} department - Departamento
+   * @param {Date} [date=new Date()] - Momento da consulta
+   * @returns {string}
+   */
+  buildReply(department, date = new Date()) {
+    const lines = [`*${department.name}*`, '', department.description, ''];
+
+    if (department.email) lines.push(`📧 ${department.email}`);
+    if (department.phone || department.whatsapp) lines.push(`📱 WhatsApp: ${department.phone || department.whatsapp}`);
+    for (const link of department.links || []) lines.push(`🔗 ${link}`);
+    if (department.hours.length > 0) lines.push(`🕒 Atendimento: ${this.describeHours(department)}`);
+
+    const open = this.isOpen(department, date);
+    if (!open) {
+      const reason = this.closedReason(date);
+      lines.push('', `No momento o setor está fora do horário de atendimento${reason ? ` (${reason})` : ''}, mas sua mensagem será vista no próximo expediente.`);
+    }
+
+    if (department.whatsappJid) {
+      lines.push('', open
+        ? 'Se quiser, posso encaminhar sua mensagem para o setor agora. Responda *SIM* para encaminhar.'
+        : 'Se quiser, posso deixar sua mensagem encaminhada para o setor. Responda *SIM* para encaminhar.');
+    }
+
+    return lines.join('\n').trim();
+  }
+  /**
+   * Guarda a mensagem do cliente aguardando a confirmação do encaminhamento
+   * @param {string} sessionId - ID da sessão do WhatsApp que recebeu a mensagem
+   * @param {string} jid - JID do cliente
+   * @param {Object} department - Departamento
+   * @param {string} messageText - Mensagem a encaminhar
+   */
+  offerForward(sessionId, jid, department, messageText) {
+    this.pendingForwards.set(`${sessionId}|${jid}`, {
+      department,
+      messageText,
+      expiresAt: Date.now() + this.forwardTimeoutMs
+    });
+  }
+  /**
+   * Interpreta a resposta do cliente a uma oferta de encaminhamento pendente
+   *
+   * Qualquer resposta encerra a oferta; só "sim" (e variações) confirma.
+   * @param {string} sessionId - ID da sessão do WhatsApp que recebeu a resposta
+   * @param {string} jid - JID do cliente
+   * @param {string} text - Resposta do cliente
+   * @returns {{accepted: boolean, department: Object, messageText: string}|null} - Null se não havia oferta
+   */
+  resolveForward(sessionId, jid, text) {
+    const key = `${sessionId}|${jid}`;
+    const pending = this.pendingForwards.get(key);
+    if (!pending) return null;
+
+    this.pendingForwards.delete(key);
+    if (pending.expiresAt <= Date.now()) return null;
+
+    const answer = toPhraseSpace(text).trim();
+    if (AFFIRMATIVE.includes(answer)) {
+      return { accepted: true, department: pending.department, messageText: pending.messageText };
+    }
+    if (NEGATIVE.includes(answer)) {
+      return { accepted: false, department: pending.department, messageText: pending.messageText };
+    }
+
+    // Outro assunto: segue o fluxo normal sem encaminhar
+    return null;
+  }
+}
+module.exports = new DepartmentRouter();
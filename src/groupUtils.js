@@ -0,0 +1,99 @@
+/**
+ * Funções auxiliares para conversas em grupos do WhatsApp
+ */
+
+/**
+ * Indica se o JID é de um grupo
+ * @param {string} jid - JID do WhatsApp
+ * @returns {boolean}
+ */
+function isGroupJid(jid) {
+  return String(jid || '').endsWith('@g.us');
+}
+
+/**
+ * Remove o sufixo de dispositivo do JID (ex.: 5549999:12@s.whatsapp.net → 5549999@s.whatsapp.net)
+ * @param {string} jid - JID do WhatsApp
+ * @returns {string} - JID sem dispositivo
+ */
+function normalizeJid(jid) {
+  return String(jid || '').replace(/:\d+@/, '@');
+}
+
+/**
+ * Chave da conversa de um participante dentro de um grupo
+ *
+ * Cada participante tem a própria thread no grupo; a chave é usada no
+ * armazenamento e na fila no lugar do JID do contato.
+ * @param {string} groupJid - JID do grupo
+ * @param {string} participantJid - JID de quem enviou a mensagem
+ * @returns {string} - Chave no formato <grupo>/<participante>
+ */
+function groupConversationKey(groupJid, participantJid) {
+  return `${groupJid}/${normalizeJid(participantJid)}`;
+}
+
+/**
+ * JIDs pelos quais o bot pode ser mencionado (número e LID)
+ * @param {Object} sock - Socket do Baileys
+ * @returns {Set<string>}
+ */
+function botJids(sock) {
+  const user = (sock && sock.user) || {};
+  return new Set([user.id, user.lid].filter(Boolean).map(normalizeJid));
+}
+
+/**
+ * Busca o contextInfo (menções e mensagem citada) do conteúdo da mensagem
+ * @param {Object} message - Mensagem do Baileys
+ * @returns {Object|null}
+ */
+function getContextInfo(message) {
+  const content = message.message || {};
+  for (const value of Object.values(content)) {
+    if (value && typeof value === 'object' && value.contextInfo) {
+      return value.contextInfo;
+    }
+  }
+  return null;
+}
+
+/**
+ * Indica se a mensagem menciona o bot ou responde a uma mensagem dele
+ * @param {Object} sock - Socket do Baileys
+ * @param {Object} message - Mensagem do Baileys
+ * @returns {boolean}
+ */
+function isBotAddressed(sock, message) {
+  const contextInfo = getContextInfo(message);
+  if (!contextInfo) return false;
+
+  const bots = botJids(sock);
+  const mentioned = (contextInfo.mentionedJid || []).some(jid => bots.has(normalizeJid(jid)));
+  const repliedToBot = Boolean(contextInfo.participant) && bots.has(normalizeJid(contextInfo.participant));
+  return mentioned || repliedToBot;
+}
+
+/**
+ * Remove do texto as menções ao bot (@5549...)
+ * @param {Object} sock - Socket do Baileys
+ * @param {string} text - Texto da mensagem
+ * @returns {string}
+ */
+function stripBotMentions(sock, text) {
+  let clean = String(text || '');
+  for (const jid of botJids(sock)) {
+    clean = clean.split(`@${jid.split('@')[0]}`).join('');
+  }
+  return clean.replace(/\s{2,}/g, ' ').trim();
+}
+
+module.exports = {
+  isGroupJid,
+  normalizeJid,
+  groupConversationKey,
+  botJids,
+  getContextInfo,
+  isBotAddressed,
+  stripBotMentions
+};
@@ -0,0 +1,240 @@
+const { normalizeText } = require('./retrieval');
+
+// Marcador que o assistente inclui na resposta quando identifica que o cliente precisa de um humano
+const HANDOFF_MARKER = '[ATENDIMENTO_HUMANO]';
+
+const DEFAULT_KEYWORDS = [
+  'atendente',
+  'falar com humano',
+  'falar com uma pessoa',
+  'falar com alguem',
+  'falar com vendedor',
+  'orcamento',
+  'cotacao',
+  'proposta comercial'
+];
+/**
+ * Converte um número de telefone ou JID em JID do WhatsApp
+ * @param {string} value - Número (com ou sem formatação) ou JID
+ * @returns {string|null} - JID ou null se não houver dígitos
+ */
+function toJid(value) {
+  if (!value) return null;
+  if (String(value).includes('@')) return String(value);
+  const digits = String(value).replace(/\D/g, '');
+  return digits ? `${digits}@s.whatsapp.net` : null;
+}
+/**
+ * Controle de atendimento humano (handoff) por contato
+ *
+ * Enquanto o handoff está ativo o bot não responde ao contato; a equipe
+ * responde pela mesma sessão do WhatsApp usando comandos. O estado fica
+ * no armazenamento para sobreviver a reinicializações.
+ */
+class HandoffManager {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.store - Armazenamento de conversas
+   * @param {string[]} [deps.staffNumbers] - Números da equipe que recebem os avisos
+   * @param {string[]} [deps.keywords] - Palavras-chave que pedem atendimento humano
+   * @param {number} [deps.timeoutMinutes=60] - Inatividade até devolver ao bot
+   */
+  constructor({ store, staffNumbers = [], keywords = DEFAULT_KEYWORDS, timeoutMinutes = 60 }) {
+    this.store = store;
+    this.staffJids = staffNumbers.map(toJid).filter(Boolean);
+    this.keywords = keywords.map(keyword => normalizeText(keyword).trim()).filter(Boolean);
+    this.timeoutMs = timeoutMinutes * 60 * 1000;
+  }
+  /**
+   * Indica se o JID pertence à equipe
+   * @param {string} jid - JID do WhatsApp
+   * @returns {boolean}
+   */
+  isStaff(jid) {
+    return this.staffJids.includes(jid);
+  }
+  /**
+   * Verifica se o texto contém alguma palavra-chave de handoff
+   * @param {string} text - Mensagem do cliente
+   * @returns {string|null} - Palavra-chave encontrada ou null
+   */
+  detectKeyword(text) {
+    const normalized = normalizeText(text);
+    return this.keywords.find(keyword => normalized.includes(keyword)) || null;
+  }
+  /**
+   * Remove o marcador de handoff da resposta do assistente
+   * @param {string} reply - Resposta do assistente
+   * @returns {{text: string, requested: boolean}} - Resposta limpa e se o handoff foi pedido
+   */
+  extractIntent(reply) {
+    const text = String(reply || '');
+    if (!text.includes(HANDOFF_MARKER)) {
+      return { text, requested: false };
+    }
+    return { text: text.split(HANDOFF_MARKER).join('').trim(), requested: true };
+  }
+  /**
+   * Busca o handoff ativo de um contato, devolvendo ao bot se já expirou
+   * @param {string} jid - JID do WhatsApp
+   * @returns {Object|null} - Handoff ativo ou null
+   */
+  getActive(jid) {
+    const handoff = this.store.getHandoff(jid);
+    if (!handoff || !handoff.active) return null;
+
+    if (handoff.expires_at && Date.parse(handoff.expires_at) <= Date.now()) {
+      this.release(jid, { reason: 'timeout' });
+      return null;
+    }
+
+    return handoff;
+  }
+  /**
+   * Indica se o contato está em atendimento humano
+   * @param {string} jid - JID do WhatsApp
+   * @returns {boolean}
+   */
+  isActive(jid) {
+    return this.getActive(jid) !== null;
+  }
+  /**
+   * Consulta se o contato está em atendimento humano sem devolver ao bot os expirados
+   *
+   * Para leituras (inbox, painéis): o encerramento por prazo fica com releaseExpired,
+   * que também avisa a equipe e dispara o webhook.
+   * @param {string} jid - JID do WhatsApp
+   * @returns {boolean}
+   */
+  peekActive(jid) {
+    const handoff = this.store.getHandoff(jid);
+    if (!handoff || !handoff.active) return false;
+    return !handoff.expires_at || Date.parse(handoff.expires_at) > Date.now();
+  }
+  /**
+   * Coloca o contato em atendimento humano
+   * @param {string} jid - JID do WhatsApp
+   * @param {Object} options
+   * @param {string} options.trigger - Origem: keyword, intent ou staff
+   * @param {string} [options.reason] - Motivo
+   * @param {string} [options.agent] - JID do atendente que assumiu
+   * @returns {{handoff: Object, created: boolean}} - Handoff e se é novo
+   */
+  start(jid, { trigger, reason = null, agent = null }) {
+    const current = this.getActive(jid);
+    const now = Date.now();
+
+    const handoff = {
+      jid,
+      active: true,
+      trigger: current ? current.trigger : trigger,
+      reason: current ? current.reason : reason,
+      agent: agent || (current && current.agent) || null,
+      startedAt: current ? current.started_at : new Date(now).toISOString(),
+      expiresAt: new Date(now + this.timeoutMs).toISOString()
+    };
+
+    this.store.saveHandoff(handoff);
+    return { handoff: this.store.getHandoff(jid), created: !current };
+  }
+  /**
+   * Renova o prazo de um handoff ativo (ex.: quando a equipe responde)
+   * @param {string} jid - JID do WhatsApp
+   * @param {string} [agent] - JID do atendente
+   * @returns {Object|null} - Handoff renovado ou null se não estava ativo
+   */
+  touch(jid, agent) {
+    if (!this.isActive(jid)) return null;
+    return this.start(jid, { trigger: 'staff', agent }).handoff;
+  }
+  /**
+   * Devolve o contato ao bot
+   * @param {string} jid - JID do WhatsApp
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Motivo da devolução (timeout, staff...)
+   * @returns {Object|null} - Handoff encerrado ou null se não estava ativo
+   */
+  release(jid, { reason = 'staff' } = {}) {
+    const handoff = this.store.getHandoff(jid);
+    if (!handoff || !handoff.active) return null;
+
+    this.store.saveHandoff({
+      jid,
+      active: false,
+      trigger: handoff.trigger,
+      reason: `${handoff.reason || ''}${handoff.reason ? ' | ' : ''}encerrado: ${reason}`,
+      agent: handoff.agent,
+      startedAt: handoff.started_at,
+      expiresAt: handoff.expires_at,
+      releasedAt: new Date().toISOString()
+    });
+
+    return this.store.getHandoff(jid);
+  }
+  /**
+   * Devolve ao bot todos os handoffs expirados
+   * @returns {Array<Object>} - Handoffs encerrados
+   */
+  releaseExpired() {
+    const now = Date.now();
+    return this.store.listActiveHandoffs()
+      .filter(handoff => handoff.expires_at && Date.parse(handoff.expires_at) <= now)
+      .map(handoff => this.release(handoff.jid, { reason: 'timeout' }))
+      .filter(Boolean);
+  }
+  /**
+   * Lista os handoffs ativos
+   * @returns {Array<Object>}
+   */
+  listActive() {
+    return this.store.listActiveHandoffs();
+  }
+  /**
+   * Monta o resumo da conversa enviado à equipe
+   * @param {string} jid - JID do WhatsApp
+   * @param {number} [limit=10] - Quantidade de mensagens recentes
+   * @returns {string} - Resumo
+   */
+  buildSummary(jid, limit = 10) {
+    const messages = this.store.getMessages(jid, { limit });
+    if (messages.length === 0) return 'Sem mensagens anteriores.';
+
+    return messages
+      .map(message => {
+        const who = message.direction === 'in' ? '👤 Cliente' : '🤖 Bot';
+        const media = message.media_type && message.media_type !== 'text' ? ` [${message.media_type}]` : '';
+        const content = message.content.length > 200 ? message.content.substring(0, 200) + '...' : message.content;
+        return `${who}${media}: ${content}`;
+      })
+      .join('\n');
+  }
+  /**
+   * Interpreta um comando enviado pela equipe
+   *
+   * Comandos: /assumir <número>, /liberar <número>,
+   * /responder <número> <mensagem> (ou /r) e /atendimentos.
+   * O número vai sem espaços (ex.: 5549999645451).
+   * @param {string} text - Mensagem da equipe
+   * @returns {Object|null} - { command, jid, text } ou null se não for comando
+   */
+  parseStaffCommand(text) {
+    const match = String(text || '').trim().match(/^\/(\w+)(?:\s+(\S+))?(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+
+    const aliases = { r: 'responder' };
+    const command = aliases[match[1].toLowerCase()] || match[1].toLowerCase();
+
+    return {
+      command,
+      jid: toJid(match[2]),
+      text: (match[3] || '').trim()
+    };
+  }
+}
+
+module.exports = {
+  HandoffManager,
+  HANDOFF_MARKER,
+  DEFAULT_KEYWORDS,
+  toJid
+};
@@ -4,14 +4,44 @@ if (!globalThis.crypto) {
     globalThis.crypto = require('crypto').webcrypto;
 }
 
-const { makeWASocket, useMultiFileAuthState, downloadMediaMessage, DisconnectReason } = require('@whiskeysockets/baileys');
+const { makeWASocket, useMultiFileAuthState, downloadMediaMessage, DisconnectReason, BufferJSON } = require('@whiskeysockets/baileys');
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const OpenAI = require('openai');
 const QRCode = require('qrcode');
+const { isValidThreadId, ensureStringThreadId } = require('./threadUtils');
+const { isGroupJid, groupConversationKey, isBotAddressed, stripBotMentions } = require('./groupUtils');
+const { createProvider } = require('./providers');
+const { createStore } = require('./storage');
+const { HandoffManager } = require('./handoffManager');
+const departmentRouter = require('./departmentRouter');
+const { LeadManager } = require('./leadManager');
+const { AdminAuth, parseApiTokens, requireApiToken } = require('./auth');
+const { OutboundQueue } = require('./outboundQueue');
+const messageTemplates = require('./messageTemplates');
+const { WebhookBus } = require('./webhookBus');
+const { extractDocumentText, sampleVideoFrames, reverseGeocode, parseVcard } = require('./mediaExtractor');
+const { createTtsProvider } = require('./tts');
+const { prepareSpeech, transcodeToOpus } = require('./voiceReply');
+const { extractQuote, describeQuotes } = require('./quotedContext');
+const { StreamChunker } = require('./streamChunker');
+const { WorkerPool } = require('./workerPool');
+const { isRetryableError, withRetry } = require('./retry');
+const { BusinessHours } = require('./businessHours');
+const { ToolRegistry, createOrderStatusTool, createTechnicalVisitTool, createProductSheetTool, createSendMediaTool } = require('./tools');
+const mediaLibrary = require('./mediaLibrary');
+const contentManager = require('./contentManager');
+const { EmbeddingScorer } = require('./retrieval');
 
 const THREADS_FILE = path.join(__dirname, 'threadMap.json');
+const DB_FILE = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'idugel.db');
+const DEPARTMENTS_FILE = process.env.DEPARTMENTS_CONFIG || path.join(__dirname, '..', 'config', 'departments.json');
+const ADMIN_USERS_FILE = process.env.ADMIN_USERS_FILE || path.join(__dirname, '..', 'config', 'admin-users.json');
+const SESSIONS_FILE = process.env.SESSIONS_CONFIG || path.join(__dirname, '..', 'config', 'sessions.json');
+const TEMPLATES_FILE = process.env.MESSAGE_TEMPLATES_CONFIG || path.join(__dirname, '..', 'config', 'message-templates.json');
+const MEDIA_LIBRARY_DIR = process.env.MEDIA_LIBRARY_PATH || path.join(__dirname, '..', 'config', 'media-library');
+const BUSINESS_HOURS_FILE = process.env.BUSINESS_HOURS_CONFIG || path.join(__dirname, '..', 'config', 'business-hours.json');
 const LOG_FILE = path.join(__dirname, 'idugel-conversations.log');
 const MEDIA_DIR = path.join(__dirname, 'media');
 
@@ -21,14 +51,91 @@ if (!fs.existsSync(MEDIA_DIR)) {
 }
 
 // 🎯 SISTEMA DE AGRUPAMENTO DE MENSAGENS PARA EVITAR CONFLITOS
+// Contador de estatística de cada tipo de mensagem da fila
+const MESSAGE_STATS = {
+    text: 'messages',
+    image: 'images',
+    audio: 'audios',
+    document: 'documents',
+    video: 'videos',
+    location: 'messages',
+    contact: 'messages'
+};
+
+// Rótulos de cada mensagem quando uma sequência mistura texto, áudio e mídia
+const BURST_LABELS = {
+    text: 'Texto',
+    audio: 'Áudio',
+    image: 'Imagem',
+    document: 'Documento',
+    video: 'Vídeo',
+    location: 'Localização',
+    contact: 'Contato'
+};
+
+// Espera antes de responder: depois da última mensagem, enquanto o cliente digita e no total
+const QUEUE_DEBOUNCE_MS = parseInt(process.env.QUEUE_DEBOUNCE_MS || 2000);
+const QUEUE_TYPING_WAIT_MS = parseInt(process.env.QUEUE_TYPING_WAIT_MS || 8000);
+const QUEUE_DEBOUNCE_MAX_MS = parseInt(process.env.QUEUE_DEBOUNCE_MAX_MS || 20000);
+
+// Correção enviada enquanto o assistente ainda responde ("na verdade...", "*500kg") cancela a execução
+const QUEUE_CANCEL_ON_CORRECTION = process.env.QUEUE_CANCEL_ON_CORRECTION === 'true';
+const CORRECTION_PATTERN = /^\s*(\*\S|na verdade\b|quer dizer\b|quis dizer\b|corrigindo\b|correção\b|ops\b|opa\b|errei\b|digo\b|esquece\b|desconsider)/i;
+
+// Junta as mensagens de uma sequência do cliente em um único prompt, na ordem em que chegaram
+function mergeBurst(messages) {
+    if (messages.length === 1) {
+        return { type: messages[0].type, content: messages[0].content };
+    }
+    
+    // Só texto digitado: uma mensagem por linha, como o cliente escreveu
+    if (messages.every(msg => msg.type === 'text' && !msg.fromAudio)) {
+        return { type: 'text', content: messages.map(msg => msg.content).join('\n') };
+    }
+    
+    const items = messages.map((msg, index) => {
+        const label = msg.fromAudio ? BURST_LABELS.audio : BURST_LABELS[msg.type] || msg.type;
+        return `${index + 1}. [${label}] ${msg.content}`;
+    });
+    const types = new Set(messages.map(msg => msg.type));
+    
+    return {
+        type: types.size === 1 ? messages[0].type : 'mixed',
+        content: `O usuário enviou ${messages.length} mensagens em sequência (texto, áudios transcritos e mídias). Considere todas juntas e responda em uma única mensagem:\n\n${items.join('\n\n')}`
+    };
+}
+
 class MessageQueue {
-    constructor() {
-        this.queues = new Map(); // Map por usuário
-        this.processing = new Set(); // Usuários sendo processados
-        this.debounceTime = 2000; // 2 segundos para agrupar mensagens
+    constructor(session) {
+        this.session = session; // Sessão do WhatsApp dona desta fila
+        this.queues = new Map(); // Mensagens aguardando a próxima execução, por usuário
+        this.inFlight = new Map(); // Lote em execução por usuário: { batch, controller, cancellable, cancelled, messageAdded }
+        this.processing = new Set(); // Usuários esperando o debounce ou em execução
+        this.debounces = new Map(); // Espera em andamento por usuário: { timer, deadline }
+        this.debounceTime = QUEUE_DEBOUNCE_MS; // Espera depois da última mensagem
+        this.typingTime = QUEUE_TYPING_WAIT_MS; // Espera enquanto o cliente digita ou grava
+        this.maxDebounceTime = QUEUE_DEBOUNCE_MAX_MS; // Espera máxima desde a primeira mensagem
     }
 
     async addMessage(from, messageData) {
+        // Grava a mensagem no banco antes de enfileirar, para sobreviver a reinícios
+        const { type, content, replyTo, fromAudio, message } = messageData;
+        const jobId = this.session.store.enqueueJob({
+            jid: from,
+            waMessageId: message ? message.key.id : null,
+            type,
+            content,
+            options: {
+                fromAudio: Boolean(fromAudio),
+                replyTo: replyTo ? { chatJid: replyTo.chatJid, senderName: replyTo.senderName, subject: replyTo.subject } : null
+            },
+            message: message ? JSON.stringify(message, BufferJSON.replacer) : null
+        });
+
+        this.enqueue(from, { ...messageData, jobId });
+    }
+
+    enqueue(from, item) {
         // Se não existe fila para este usuário, cria
         if (!this.queues.has(from)) {
             this.queues.set(from, []);
@@ -36,136 +143,398 @@ class MessageQueue {
 
         // Adiciona mensagem à fila
         this.queues.get(from).push({
-            ...messageData,
+            ...item,
             timestamp: Date.now()
         });
 
         logger.logInfo('📥 MENSAGEM ADICIONADA À FILA', {
             from: from.replace('@s.whatsapp.net', ''),
             queue_size: this.queues.get(from).length,
-            is_processing: this.processing.has(from)
+            is_processing: this.processing.has(from),
+            in_flight: this.inFlight.has(from)
         });
 
-        // Se não está processando, inicia o debounce
+        // Se não está processando, inicia o debounce; se já está esperando, recomeça a contagem.
+        // Durante uma execução, a mensagem aguarda a próxima rodada (ou cancela a atual, se for correção)
         if (!this.processing.has(from)) {
             this.startDebounce(from);
+        } else if (this.inFlight.has(from)) {
+            this.cancelForCorrection(from, item);
+        } else {
+            this.extendDebounce(from, this.debounceTime);
+        }
+    }
+
+    // Cancela a execução em andamento quando a nova mensagem corrige a anterior e nada foi enviado ainda
+    cancelForCorrection(from, item) {
+        const run = this.inFlight.get(from);
+        if (!QUEUE_CANCEL_ON_CORRECTION || !run.cancellable || run.cancelled) return;
+        if (item.type !== 'text' || item.fromAudio || !CORRECTION_PATTERN.test(item.content)) return;
+        
+        run.cancelled = true;
+        run.controller.abort();
+        
+        logger.logInfo('✋ EXECUÇÃO CANCELADA POR CORREÇÃO', {
+            from: from.replace('@s.whatsapp.net', ''),
+            batch_messages: run.batch.length,
+            correction: item.content.substring(0, 100)
+        });
+    }
+
+    // Recoloca na fila as mensagens que ficaram sem resposta (reinício ou queda no meio do processamento)
+    restore() {
+        const store = this.session.store;
+        const cutoff = new Date(Date.now() - QUEUE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        store.purgeJobs(cutoff);
+        store.purgeSeenMessages(cutoff);
+
+        let restored = 0;
+        let abandoned = 0;
+        for (const job of store.listUnfinishedJobs()) {
+            if (job.attempts >= QUEUE_MAX_ATTEMPTS) {
+                store.updateJobs([job.id], { status: 'failed', error: `Abandonado após ${job.attempts} tentativas` });
+                abandoned++;
+                continue;
+            }
+
+            const message = job.message ? JSON.parse(job.message, BufferJSON.reviver) : null;
+            const { fromAudio = false, replyTo = null } = job.options;
+            this.enqueue(job.jid, {
+                jobId: job.id,
+                attempts: job.attempts,
+                type: job.type,
+                content: job.content,
+                replyTo: replyTo ? { ...replyTo, quoted: message } : null,
+                fromAudio,
+                inThread: Boolean(job.in_thread),
+                message
+            });
+            restored++;
+        }
+
+        if (restored > 0 || abandoned > 0) {
+            logger.logInfo('♻️ FILA RESTAURADA', {
+                session: this.session.id,
+                restored,
+                abandoned
+            });
         }
     }
 
+    // Atualiza o status dos jobs gravados das mensagens informadas
+    markJobs(messages, status, error = null) {
+        for (const msg of messages) msg.status = status;
+        const ids = messages.map(msg => msg.jobId).filter(Boolean);
+        this.session.store.updateJobs(ids, { status, error });
+    }
+
+    // Mensagens que uma execução interrompida já gravou na thread do Assistant não são enviadas de novo,
+    // nem depois de um reinício
+    markInThread(messages) {
+        const added = messages.filter(msg => !msg.inThread);
+        for (const msg of added) msg.inThread = true;
+        this.session.store.markJobsInThread(added.map(msg => msg.jobId).filter(Boolean));
+    }
+
     startDebounce(from) {
         this.processing.add(from);
+        this.debounces.set(from, { timer: null, deadline: Date.now() + this.maxDebounceTime });
         
         logger.logInfo('⏱️ INICIANDO DEBOUNCE', {
             from: from.replace('@s.whatsapp.net', ''),
-            debounce_time: this.debounceTime
+            debounce_time: this.debounceTime,
+            max_debounce_time: this.maxDebounceTime
         });
 
-        setTimeout(async () => {
+        this.extendDebounce(from, this.debounceTime);
+    }
+
+    // Reagenda o processamento, sem passar da espera máxima
+    extendDebounce(from, delay) {
+        const debounce = this.debounces.get(from);
+        if (!debounce) return;
+        
+        clearTimeout(debounce.timer);
+        debounce.timer = setTimeout(async () => {
+            this.debounces.delete(from);
             await this.processQueue(from);
-        }, this.debounceTime);
+        }, Math.max(0, Math.min(delay, debounce.deadline - Date.now())));
+    }
+
+    // "Digitando..." ou "gravando áudio..." do cliente estende a espera; ao parar, volta à espera normal
+    noteTyping(from, presence) {
+        if (!this.debounces.has(from)) return;
+        
+        const typing = presence === 'composing' || presence === 'recording';
+        this.extendDebounce(from, typing ? this.typingTime : this.debounceTime);
+        
+        if (typing) {
+            logger.logInfo('✍️ CLIENTE DIGITANDO, AGUARDANDO', {
+                from: from.replace('@s.whatsapp.net', ''),
+                presence
+            });
+        }
     }
 
     async processQueue(from) {
+        // O lote sai do buffer: o que chegar durante a execução fica para a próxima rodada
+        const batch = this.queues.get(from) || [];
+        this.queues.delete(from);
+        
+        if (batch.length === 0) {
+            this.processing.delete(from);
+            return;
+        }
+        
+        const run = { batch, controller: new AbortController(), cancellable: true, cancelled: false, messageAdded: false };
+        this.inFlight.set(from, run);
+        
         try {
-            const queue = this.queues.get(from) || [];
-            
-            if (queue.length === 0) {
-                this.processing.delete(from);
-                return;
-            }
-
             logger.logInfo('🔄 PROCESSANDO FILA DE MENSAGENS', {
                 from: from.replace('@s.whatsapp.net', ''),
-                total_messages: queue.length
+                total_messages: batch.length
             });
 
-            // Agrupa mensagens de texto em uma única mensagem
-            const textMessages = queue.filter(msg => msg.type === 'text');
-            const mediaMessages = queue.filter(msg => msg.type !== 'text');
+            // Texto, transcrições e análises de mídia da sequência vão juntos numa única execução.
+            // O que uma execução cancelada já gravou na thread do Assistant não é enviado de novo
+            const unsent = batch.filter(msg => !msg.inThread);
+            const { content, type } = mergeBurst(unsent.length > 0 ? unsent : batch);
+            const newest = batch[batch.length - 1];
+            this.markJobs(batch, 'processing');
+            for (const msg of batch) msg.attempts = (msg.attempts || 0) + 1;
+            
+            logger.logInfo('📝 AGRUPANDO MENSAGENS', {
+                from: from.replace('@s.whatsapp.net', ''),
+                individual_messages: batch.length,
+                types: batch.map(msg => (msg.fromAudio ? 'audio' : msg.type)),
+                combined_length: content.length,
+                already_in_thread: batch.length - unsent.length
+            });
 
-            // Processa mensagens de texto agrupadas
-            if (textMessages.length > 0) {
-                const combinedText = textMessages.map(msg => msg.content).join(' ');
+            // Em grupos, a resposta cita a última mensagem do participante; em conversas individuais,
+            // só quando o cliente já mandou outra coisa depois do lote que ela responde
+            await this.processSingleMessage(from, content, type, newest.replyTo, {
+                fromAudio: batch.some(msg => msg.fromAudio),
+                quotes: batch.map(msg => extractQuote(this.session.sock, msg.message)).filter(Boolean),
+                types: batch.map(msg => msg.type),
+                run,
+                quoted: () => ((this.queues.get(from) || []).length > 0 ? newest.message : null)
+            });
+            
+            if (run.cancelled) {
+                // Nada foi enviado ao cliente: o lote volta para a frente do buffer e segue junto com a correção
+                if (run.messageAdded) this.markInThread(batch);
+                this.markJobs(batch, 'pending');
+                this.queues.set(from, [...batch, ...(this.queues.get(from) || [])]);
+            } else {
+                this.markJobs(batch, 'replied');
                 
-                logger.logInfo('📝 AGRUPANDO MENSAGENS DE TEXTO', {
+                logger.logSuccess('✅ FILA PROCESSADA COMPLETAMENTE', {
                     from: from.replace('@s.whatsapp.net', ''),
-                    individual_messages: textMessages.length,
-                    combined_length: combinedText.length
+                    messages: batch.length,
+                    type
                 });
-
-                await this.processSingleMessage(from, combinedText, 'text');
-            }
-
-            // Processa mensagens de mídia individualmente
-            for (const mediaMsg of mediaMessages) {
-                await this.processSingleMessage(from, mediaMsg.content, mediaMsg.type);
-                // Pequeno delay entre mídias para evitar sobrecarga
-                await new Promise(resolve => setTimeout(resolve, 500));
             }
 
-            // Limpa a fila e marca como não processando
-            this.queues.set(from, []);
-            this.processing.delete(from);
-
-            logger.logSuccess('✅ FILA PROCESSADA COMPLETAMENTE', {
-                from: from.replace('@s.whatsapp.net', ''),
-                text_messages: textMessages.length,
-                media_messages: mediaMessages.length
-            });
-
         } catch (error) {
             logger.logError('❌ ERRO NO PROCESSAMENTO DA FILA', error, {
-                from: from.replace('@s.whatsapp.net', '')
+                from: from.replace('@s.whatsapp.net', ''),
+                committed: !run.cancellable,
+                attempts: Math.max(...batch.map(msg => msg.attempts || 0))
             });
             
-            // Remove da lista de processamento em caso de erro
+            // Limite ou falha da OpenAI antes de qualquer envio: o lote tenta de novo até QUEUE_MAX_ATTEMPTS.
+            // Com algo já enviado, ou esgotadas as tentativas, os jobs ficam como falha e o cliente é avisado
+            const unfinished = batch.filter(msg => msg.status === 'processing');
+            const retry = isRetryableError(error) && run.cancellable
+                && unfinished.every(msg => (msg.attempts || 0) < QUEUE_MAX_ATTEMPTS);
+            
+            try {
+                if (retry) {
+                    if (run.messageAdded) this.markInThread(unfinished);
+                    this.markJobs(unfinished, 'pending', error.message);
+                    this.queues.set(from, [...unfinished, ...(this.queues.get(from) || [])]);
+                } else {
+                    this.markJobs(unfinished, 'failed', error.message);
+                }
+            } catch (storeError) {
+                logger.logError('Erro ao atualizar jobs da fila', storeError, { from: from.replace('@s.whatsapp.net', '') });
+            }
+            
+            if (!retry && unfinished.length > 0) {
+                await this.sendFailureNotice(from, batch[batch.length - 1].replyTo, error);
+            }
+        } finally {
+            this.inFlight.delete(from);
             this.processing.delete(from);
-            this.queues.set(from, []);
+            
+            // Mensagens recebidas durante a execução ganham uma nova rodada
+            const pending = (this.queues.get(from) || []).length;
+            if (pending > 0) {
+                logger.logInfo('🔁 NOVA EXECUÇÃO PARA MENSAGENS PENDENTES', {
+                    from: from.replace('@s.whatsapp.net', ''),
+                    pending_messages: pending,
+                    after_cancel: run.cancelled
+                });
+                this.startDebounce(from);
+            }
         }
     }
 
-    async processSingleMessage(from, content, type) {
+    async processSingleMessage(from, content, type, replyTo = null, { fromAudio = false, quotes = [], types = [type], run = null, quoted = null } = {}) {
+        const session = this.session;
+        const sock = session.sock;
+        
+        // Depois que algo chega ao cliente (ou uma ferramenta é executada), a execução não pode mais ser cancelada
+        const commit = () => {
+            if (run) run.cancellable = false;
+        };
+        
+        // Mensagens de grupo são respondidas no grupo, citando a mensagem original.
+        // quoted() indica, na hora do envio, outra mensagem a citar (ou null)
+        const chatJid = replyTo ? replyTo.chatJid : from;
+        const replyOptions = () => {
+            const quotedMessage = (quoted && quoted()) || (replyTo && replyTo.quoted);
+            return quotedMessage ? { quoted: quotedMessage } : undefined;
+        };
+        
+        // Estatísticas contam cada tipo recebido na sequência (texto, imagem, áudio...)
+        const stats = new Set(types.map(item => MESSAGE_STATS[item]).filter(Boolean));
+        
         try {
+            // Contato passou para atendimento humano enquanto a fila aguardava
+            if (session.handoffManager.isActive(from)) {
+                logger.logInfo('👤 MENSAGEM NÃO RESPONDIDA: ATENDIMENTO HUMANO ATIVO', {
+                    session: session.id,
+                    from: from.replace('@s.whatsapp.net', ''),
+                    type: type
+                });
+                return true;
+            }
+            
             let responseText = '';
+            let sentAsVoice = false;
+            const voice = shouldReplyWithVoice(session, from, { fromAudio, group: replyTo });
+            
+            // Trechos enviados durante o streaming; só o primeiro cita a mensagem
+            const parts = [];
+            const attachments = [];
+            const onPartial = voice ? null : async (text) => {
+                commit();
+                await sock.sendMessage(chatJid, { text }, parts.length === 0 ? replyOptions() : undefined);
+                parts.push(text);
+                sock.sendPresenceUpdate('composing', chatJid).catch(() => {});
+            };
             
-            if (type === 'text') {
-                responseText = await processMessage(from, content, 'text');
-                global.stats.messages++;
-            } else if (type === 'image') {
-                responseText = await processMessage(from, content, 'image');
-                global.stats.images++;
-            } else if (type === 'audio') {
-                responseText = await processMessage(from, content, 'audio');
-                global.stats.audios++;
+            // Fila cheia ou limite da OpenAI: o cliente é avisado uma vez que a resposta vai demorar
+            let busyNotified = false;
+            const notifyBusy = async () => {
+                if (busyNotified || !sock) return;
+                busyNotified = true;
+                logger.logInfo('⏳ CLIENTE AVISADO DA ESPERA', {
+                    session: session.id,
+                    from: from.replace('@s.whatsapp.net', ''),
+                    pool: llmPool.status()
+                });
+                await sendAcknowledgement(session, from, replyTo, BUSY_NOTICE);
+            };
+            
+            if (stats.size > 0) {
+                if (llmPool.isSaturated()) await notifyBusy();
+                
+                responseText = await llmPool.run(async () => {
+                    // Cancelada enquanto esperava vaga
+                    if (run && run.cancelled) return '';
+                    
+                    const stopTyping = keepTyping(sock, chatJid);
+                    try {
+                        return await processMessage(session, from, content, type, {
+                            group: replyTo,
+                            quotes,
+                            onPartial,
+                            attachments,
+                            onRetry: notifyBusy,
+                            signal: run ? run.controller.signal : null,
+                            onCommit: commit,
+                            onMessageAdded: () => {
+                                if (run) run.messageAdded = true;
+                            }
+                        });
+                    } finally {
+                        stopTyping();
+                    }
+                });
+                
+                // A resposta de uma execução cancelada é descartada; o lote volta para a fila
+                if (run && run.cancelled) return false;
+                stats.forEach(stat => countStat(session, stat));
             }
 
             if (responseText && sock) {
-                await sock.sendMessage(from, { text: responseText });
+                commit();
+                
+                // Nota de voz quando o contato prefere áudio; se a síntese falhar, vai em texto
+                sentAsVoice = voice && await sendVoiceReply(session, from, responseText, replyOptions());
+                
+                if (!sentAsVoice) {
+                    await sock.sendMessage(chatJid, { text: responseText }, parts.length === 0 ? replyOptions() : undefined);
+                }
+                parts.push(responseText);
+            }
+            
+            // Materiais da biblioteca seguem depois do texto
+            const sentAttachments = sock ? await sendLibraryMedia(session, from, chatJid, attachments) : [];
+            
+            if (parts.length > 0) {
+                const fullText = parts.join('\n\n');
                 
                 logger.logSuccess('📤 RESPOSTA ENVIADA', {
+                    session: session.id,
                     from: from.replace('@s.whatsapp.net', ''),
                     type: type,
-                    response_length: responseText.length
+                    voice: sentAsVoice,
+                    parts: parts.length,
+                    attachments: sentAttachments,
+                    response_length: fullText.length
+                });
+                
+                webhookBus.emit('message.replied', {
+                    session: session.id,
+                    from: from.replace('@s.whatsapp.net', ''),
+                    jid: from,
+                    type: type,
+                    voice: sentAsVoice,
+                    attachments: sentAttachments,
+                    text: fullText
                 });
             }
+            
+            return true;
 
         } catch (error) {
-            logger.logError('❌ ERRO NO PROCESSAMENTO INDIVIDUAL', error, {
-                from: from.replace('@s.whatsapp.net', ''),
-                type: type
-            });
+            if (run && run.cancelled) return false;
+            
+            // A fila decide entre nova tentativa e falha (e avisa o cliente)
+            throw error;
+        }
+    }
 
-            if (sock) {
-                await sock.sendMessage(from, { 
-                    text: "❌ Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente em alguns instantes." 
-                });
-            }
+    // Avisa o cliente de que a mensagem não foi respondida; no limite da OpenAI, pede para reenviar mais tarde
+    async sendFailureNotice(from, replyTo, error) {
+        const sock = this.session.sock;
+        if (!sock) return;
+        
+        const chatJid = replyTo ? replyTo.chatJid : from;
+        const text = isRetryableError(error) ? BUSY_FAILURE : PROCESSING_FAILURE;
+        try {
+            await sock.sendMessage(chatJid, { text }, replyTo ? { quoted: replyTo.quoted } : undefined);
+            this.session.store.addMessage({ jid: from, direction: 'out', content: text });
+        } catch (sendError) {
+            logger.logError('Erro ao avisar falha ao cliente', sendError, { from: from.replace('@s.whatsapp.net', '') });
         }
     }
 }
 
-const messageQueue = new MessageQueue();
-
 // Sistema de logs avançado compatível com Baileys
 class ConversationLogger {
     constructor() {
@@ -389,68 +758,82 @@ const openai = new OpenAI({
     apiKey: process.env.OPENAI_API_KEY,
 });
 
-// Funções auxiliares para validação
-function forceString(value) {
-    if (typeof value === 'string') return value;
-    if (value && typeof value === 'object' && value.id) return String(value.id);
-    return String(value || '');
+// ⏳ Chamadas simultâneas ao LLM (somando todas as sessões) e novas tentativas em 429/5xx
+const llmPool = new WorkerPool({ concurrency: parseInt(process.env.LLM_CONCURRENCY || 4) });
+const LLM_RETRY = {
+    retries: parseInt(process.env.LLM_MAX_RETRIES || 4),
+    baseMs: parseInt(process.env.LLM_RETRY_BASE_MS || 1000),
+    maxMs: parseInt(process.env.LLM_RETRY_MAX_MS || 30000)
+};
+// Visão, transcrição, extração de leads e embeddings têm vagas próprias: parte dessas chamadas
+// acontece dentro de uma resposta que já ocupa uma vaga do llmPool
+const auxPool = new WorkerPool({ concurrency: parseInt(process.env.LLM_AUX_CONCURRENCY || 4) });
+const BUSY_NOTICE = '⏳ Estamos com muitas conversas neste momento. Sua mensagem está na fila e respondemos em instantes.';
+const BUSY_FAILURE = '⏳ Estamos com alta demanda agora e não consegui responder a tempo. Por favor, envie sua mensagem novamente em alguns minutos.';
+const PROCESSING_FAILURE = '❌ Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente em alguns instantes.';
+
+// Chamada auxiliar à OpenAI: espera vaga no auxPool e repete em 429/5xx como as respostas
+function callOpenAI(operation, fn) {
+    return auxPool.run(() => withRetry(fn, {
+        ...LLM_RETRY,
+        onRetry: async ({ attempt, delayMs, error }) => {
+            logger.logInfo('⏳ NOVA TENTATIVA NA API', {
+                operation,
+                attempt,
+                delay_ms: delayMs,
+                status: error.status || null,
+                reason: error.message
+            });
+        }
+    }));
 }
 
-function isValidThreadId(threadId) {
-    const cleanId = forceString(threadId);
-    return cleanId && cleanId.startsWith('thread_') && cleanId.length > 10;
-}
+// 🔧 Funções que o Assistant pode chamar (ASSISTANT_TOOLS limita a lista; "none" desativa)
+const toolRegistry = new ToolRegistry({
+    logger,
+    timeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS || 15000)
+});
 
-function ensureStringThreadId(threadId) {
-    const cleanId = forceString(threadId);
-    if (!isValidThreadId(cleanId)) {
-        throw new Error(`Invalid thread ID: ${cleanId}`);
+function registerAssistantTools() {
+    const enabled = (process.env.ASSISTANT_TOOLS || '').split(',').map(name => name.trim()).filter(Boolean);
+    const available = [
+        createProductSheetTool({ contentManager }),
+        createTechnicalVisitTool({ onRequest: requestTechnicalVisit })
+    ];
+    
+    if (fs.existsSync(path.join(MEDIA_LIBRARY_DIR, 'manifest.json'))) {
+        available.push(createSendMediaTool({ mediaLibrary }));
     }
-    return cleanId;
-}
-
-// ✅ THREADMANAGER ESTÁVEL COM CONTROLE DE PRIMEIRA INTERAÇÃO
-class ThreadManager {
-    constructor() {
-        this.threads = this.loadThreads();
-        this.firstInteractions = new Set(); // Rastreia primeiras interações
+    
+    if (process.env.ORDER_STATUS_URL) {
+        available.push(createOrderStatusTool({
+            url: process.env.ORDER_STATUS_URL,
+            token: process.env.ORDER_STATUS_TOKEN
+        }));
     }
-
-    loadThreads() {
-        try {
-            if (fs.existsSync(THREADS_FILE)) {
-                const data = fs.readFileSync(THREADS_FILE, 'utf8');
-                const parsed = JSON.parse(data);
-                
-                // Limpa dados corrompidos
-                const cleaned = {};
-                for (const [key, value] of Object.entries(parsed)) {
-                    const cleanValue = forceString(value);
-                    if (isValidThreadId(cleanValue)) {
-                        cleaned[key] = cleanValue;
-                    } else {
-                        logger.logThread('Removendo thread corrompida', key, cleanValue);
-                    }
-                }
-                
-                return cleaned;
-            }
-        } catch (error) {
-            logger.logError('Erro ao carregar threads', error);
+    
+    for (const tool of available) {
+        if (enabled.length === 0 || enabled.includes(tool.name)) {
+            toolRegistry.register(tool);
         }
-        return {};
     }
+}
 
-    saveThreads() {
-        try {
-            fs.writeFileSync(THREADS_FILE, JSON.stringify(this.threads, null, 2));
-        } catch (error) {
-            logger.logError('Erro ao salvar threads', error);
-        }
+registerAssistantTools();
+
+// 🎙️ Síntese de voz para respostas em áudio (TTS_PROVIDER=none desativa)
+const ttsProvider = createTtsProvider(process.env.TTS_PROVIDER, { openai, logger });
+
+// Armazenamento persistente de contatos, threads e mensagens
+// ✅ THREADMANAGER COM ARMAZENAMENTO PERSISTENTE E CONTROLE DE PRIMEIRA INTERAÇÃO
+class ThreadManager {
+    constructor(store) {
+        this.store = store;
+        this.firstInteractions = new Set(); // Rastreia primeiras interações
     }
 
     getThreadId(from) {
-        const raw = this.threads[from];
+        const raw = this.store.getThreadId(from);
         logger.logThread('Buscando thread', from, raw, { type: typeof raw });
         
         if (typeof raw === 'string' && isValidThreadId(raw)) {
@@ -463,16 +846,14 @@ class ThreadManager {
 
     setThreadId(from, threadId) {
         const cleanId = ensureStringThreadId(threadId);
-        this.threads[from] = cleanId;
-        this.saveThreads();
+        this.store.setThreadId(from, cleanId);
         logger.logThread('Thread salva', from, cleanId);
         return cleanId;
     }
 
     removeThread(from) {
-        delete this.threads[from];
+        this.store.removeThread(from);
         this.firstInteractions.delete(from); // Remove também do controle de primeira interação
-        this.saveThreads();
         logger.logThread('Thread removida', from, null);
     }
 
@@ -492,7 +873,228 @@ class ThreadManager {
     }
 }
 
-const threadManager = new ThreadManager();
+// 📱 SESSÕES DO WHATSAPP: cada número tem autenticação, banco, assistente, filas e estatísticas próprios
+function loadSessionConfigs() {
+    if (!fs.existsSync(SESSIONS_FILE)) {
+        // Sem arquivo de sessões: um único número, com a pasta de autenticação e o banco de sempre
+        return [{ id: 'default', name: 'Principal', authDir: 'auth_info_baileys', databasePath: DB_FILE }];
+    }
+    
+    const configs = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+    const ids = new Set();
+    
+    for (const config of configs) {
+        if (!/^[a-z0-9_-]+$/.test(config.id || '')) {
+            throw new Error(`ID de sessão inválido: ${config.id} (use letras minúsculas, números, - ou _)`);
+        }
+        if (ids.has(config.id)) {
+            throw new Error(`ID de sessão repetido: ${config.id}`);
+        }
+        ids.add(config.id);
+    }
+    
+    if (configs.length === 0) {
+        throw new Error(`Nenhuma sessão configurada em ${SESSIONS_FILE}`);
+    }
+    
+    return configs;
+}
+
+function createSession(config) {
+    const store = createStore(config.storageBackend || process.env.STORAGE_BACKEND, {
+        dbPath: config.databasePath || path.join(__dirname, 'data', `${config.id}.db`)
+    });
+    const systemPrompt = config.promptFile
+        ? fs.readFileSync(path.resolve(path.dirname(SESSIONS_FILE), config.promptFile), 'utf8')
+        : null;
+    const staffNumbers = config.staffNumbers || (process.env.HANDOFF_STAFF_NUMBERS || '').split(',');
+    const groups = config.groups || (process.env.GROUP_ALLOWLIST || '').split(',');
+    
+    const session = {
+        id: config.id,
+        name: config.name || config.id,
+        authDir: config.authDir || path.join('auth_sessions', config.id),
+        store,
+        threadManager: new ThreadManager(store),
+        
+        // Atendimento humano: palavra-chave, intenção detectada pelo assistente ou comando da equipe
+        handoffManager: new HandoffManager({
+            store,
+            staffNumbers: staffNumbers.map(number => String(number).trim()).filter(Boolean),
+            keywords: process.env.HANDOFF_KEYWORDS ? process.env.HANDOFF_KEYWORDS.split(',') : undefined,
+            timeoutMinutes: parseInt(process.env.HANDOFF_TIMEOUT_MINUTES || 60)
+        }),
+        
+        // Captura de leads comerciais a partir das conversas
+        leadManager: new LeadManager({
+            store,
+            openai,
+            model: process.env.LEADS_MODEL || 'gpt-4o-mini',
+            webhookUrl: config.leadsWebhookUrl || process.env.LEADS_WEBHOOK_URL || null,
+            webhookSecret: config.leadsWebhookSecret || process.env.LEADS_WEBHOOK_SECRET || '',
+            call: callOpenAI
+        }),
+        
+        // Provedor de LLM (assistants, chat ou mock), com Assistant ou prompt da sessão
+        llmProvider: createProvider(config.llmProvider || process.env.LLM_PROVIDER, {
+            openai,
+            logger,
+            assistantId: config.assistantId,
+            model: config.model,
+            systemPrompt,
+            tools: toolRegistry,
+            retry: LLM_RETRY
+        }),
+        
+        // Grupos liberados (opt-in): o bot só responde quando mencionado ou citado
+        groupAllowlist: new Set(groups.map(jid => String(jid).trim()).filter(Boolean)),
+        groupNames: new Map(),
+        
+        // Contatos já avisados de que a equipe está fora do horário (jid → próxima abertura)
+        afterHoursNotified: new Map(),
+        
+        sock: null,
+        qrCodeData: '',
+        isConnected: false,
+        stats: { messages: 0, images: 0, audios: 0, documents: 0, videos: 0, connected_at: null }
+    };
+    
+    session.messageQueue = new MessageQueue(session);
+    
+    // 📤 Envios ativos pela API (ERP, CRM), com limite por minuto
+    session.outboundQueue = new OutboundQueue({
+        store,
+        send: (jid, content) => session.sock.sendMessage(jid, content),
+        isReady: () => session.isConnected,
+        logger,
+        ratePerMinute: parseInt(config.outboundRatePerMinute || process.env.OUTBOUND_RATE_PER_MINUTE || 20),
+        maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS || 3),
+        codec: BufferJSON
+    });
+    
+    // Envios pedidos antes do último desligamento; saem quando o WhatsApp conectar
+    session.outboundQueue.restore();
+    
+    return session;
+}
+
+const sessions = new Map(loadSessionConfigs().map(config => [config.id, createSession(config)]));
+const defaultSession = sessions.values().next().value;
+
+// Sessão pelo ID; sem ID, a primeira configurada
+function getSession(id) {
+    return id ? sessions.get(String(id)) || null : defaultSession;
+}
+
+// Contadores da sessão e do total geral
+function countStat(session, key) {
+    session.stats[key]++;
+    global.stats[key]++;
+}
+
+logger.logSuccess('📱 SESSÕES CONFIGURADAS', {
+    sessions: [...sessions.values()].map(session => ({
+        id: session.id,
+        auth_dir: session.authDir,
+        provider: session.llmProvider.name
+    }))
+});
+
+// Importa o antigo threadMap.json na primeira inicialização
+try {
+    const imported = defaultSession.store.migrateThreadMap(THREADS_FILE);
+    if (imported !== null) {
+        logger.logSuccess('📦 THREADMAP.JSON MIGRADO PARA O ARMAZENAMENTO', {
+            storage: defaultSession.store.name,
+            imported_threads: imported
+        });
+    }
+} catch (error) {
+    logger.logError('Erro ao migrar threadMap.json', error, { path: THREADS_FILE });
+}
+
+const LEADS_ENABLED = process.env.LEADS_ENABLED !== 'false';
+const LEADS_WEBHOOK_RETRY_MS = parseInt(process.env.LEADS_WEBHOOK_RETRY_MINUTES || 15) * 60 * 1000;
+
+// 🔔 Webhooks de eventos: arquivo WEBHOOKS_CONFIG ou um único destino por variáveis de ambiente
+const webhookBus = new WebhookBus({
+    endpoints: process.env.WEBHOOKS_CONFIG
+        ? WebhookBus.loadEndpoints(process.env.WEBHOOKS_CONFIG)
+        : [{
+            url: process.env.WEBHOOK_URL,
+            secret: process.env.WEBHOOK_SECRET,
+            events: (process.env.WEBHOOK_EVENTS || '').split(',').map(event => event.trim()).filter(Boolean)
+        }],
+    logger,
+    deadLetterFile: process.env.WEBHOOK_DEAD_LETTER_FILE || path.join(__dirname, 'data', 'webhook-dead-letter.jsonl'),
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 5)
+});
+
+// Limites da leitura de documentos e vídeos
+const DOCUMENT_MAX_CHARS = parseInt(process.env.DOCUMENT_MAX_CHARS || 12000);
+const VIDEO_FRAMES = parseInt(process.env.VIDEO_FRAMES || 4);
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const GEOCODING_URL = process.env.GEOCODING_URL || 'https://nominatim.openstreetmap.org';
+
+// Figurinhas e reações recebem um agradecimento fixo, sem passar pelo assistente
+const STICKER_ACK = '😄 Recebemos sua figurinha! Se precisar de algo, é só escrever ou mandar um áudio.';
+const REACTION_ACK = '🙏 Obrigado pelo retorno! Se precisar de mais alguma coisa, estamos por aqui.';
+
+// Fila persistente: tentativas antes de desistir de uma mensagem e dias guardados no banco
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS || 3);
+const QUEUE_RETENTION_DAYS = parseInt(process.env.QUEUE_RETENTION_DAYS || 7);
+
+// Mensagens recebidas mais antigas que isso não são respondidas (fica abaixo da retenção dos IDs vistos)
+const INBOUND_MAX_AGE_MS = Math.min(
+    parseFloat(process.env.INBOUND_MAX_AGE_HOURS || 24),
+    QUEUE_RETENTION_DAYS * 24
+) * 60 * 60 * 1000;
+
+// messageTimestamp do Baileys vem em segundos, como número ou Long
+function messageTimestampMs(message) {
+    const value = message.messageTimestamp;
+    if (!value) return null;
+    const seconds = typeof value === 'object' && typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+// Respostas em streaming: tamanho mínimo de cada trecho enviado antes do fim
+const STREAM_CHUNK_MIN_CHARS = parseInt(process.env.STREAM_CHUNK_MIN_CHARS || 300);
+
+// Respostas em áudio: preferência padrão dos contatos e tamanho máximo falado
+const VOICE_REPLY_DEFAULT = process.env.VOICE_REPLY_DEFAULT || 'auto';
+const TTS_MAX_CHARS = parseInt(process.env.TTS_MAX_CHARS || 1000);
+
+// Comandos do cliente para escolher como recebe as respostas
+const REPLY_MODE_COMMANDS = {
+    '/audio': 'voice',
+    '/áudio': 'voice',
+    '/voz': 'voice',
+    '/texto': 'text',
+    '/auto': 'auto'
+};
+const REPLY_MODE_NOTICES = {
+    voice: '🎙️ Combinado! A partir de agora respondo por áudio. Para voltar ao texto, envie /texto.',
+    text: '📝 Combinado! A partir de agora respondo por escrito. Para receber áudios, envie /audio.',
+    auto: '🔄 Combinado! Respondo por áudio quando você mandar áudio e por escrito quando você escrever.'
+};
+
+const HANDOFF_CUSTOMER_NOTICE = '👤 Vou transferir você para um especialista do nosso time. Em instantes alguém continua o atendimento por aqui.';
+
+// 🕗 Horário de atendimento (BUSINESS_HOURS_CONFIG); sem arquivo, o atendimento fica sempre aberto
+let businessHours = null;
+
+const afterHoursNotice = (when, reason) =>
+    `🕗 Nossa equipe está fora do horário de atendimento${reason ? ` (${reason})` : ''} e volta ${when}. Enquanto isso, sigo ajudando por aqui.`;
+const handoffAfterHoursNotice = (when) =>
+    `👤 Nosso time está fora do horário de atendimento agora. Registrei seu pedido e um especialista continua a conversa por aqui ${when}.`;
+
+// Situação do expediente; null quando o atendimento está aberto ou não há horário configurado
+function afterHoursStatus() {
+    if (!businessHours) return null;
+    const schedule = businessHours.status();
+    return schedule.open || !schedule.nextOpen ? null : schedule;
+}
 
 // 🎯 PROCESSAMENTO DE IMAGEM CORRIGIDO (baseado no bot que funciona)
 async function processImage(imagePath, caption = '') {
@@ -529,7 +1131,7 @@ async function processImage(imagePath, caption = '') {
             max_tokens: 500
         });
 
-        const response = await openai.chat.completions.create({
+        const response = await callOpenAI('image', () => openai.chat.completions.create({
             model: "gpt-4o",
             messages: [
                 {
@@ -549,7 +1151,7 @@ async function processImage(imagePath, caption = '') {
                 }
             ],
             max_tokens: 500
-        });
+        }));
 
         const analysis = response.choices[0].message.content;
         logger.logMedia('✅ ANÁLISE DE IMAGEM CONCLUÍDA', '', 'image', {
@@ -579,7 +1181,8 @@ async function processImage(imagePath, caption = '') {
             logger.logError('Erro ao limpar arquivo após falha', cleanupError);
         }
         
-        return "❌ Desculpe, não consegui processar esta imagem. Tente enviar novamente.";
+        // Quem chamou decide a resposta (erro ou aviso de alta demanda)
+        throw error;
     }
 }
 
@@ -605,11 +1208,11 @@ async function processAudio(audioPath) {
             language: 'pt'
         });
 
-        const response = await openai.audio.transcriptions.create({
+        const response = await callOpenAI('audio', () => openai.audio.transcriptions.create({
             file: new File([audioBuffer], 'audio.ogg', { type: 'audio/ogg' }),
             model: "whisper-1",
             language: "pt"
-        });
+        }));
 
         const transcription = response.text;
         logger.logMedia('✅ TRANSCRIÇÃO CONCLUÍDA', '', 'audio', {
@@ -638,149 +1241,344 @@ async function processAudio(audioPath) {
             logger.logError('Erro ao limpar arquivo de áudio após falha', cleanupError);
         }
         
-        return "❌ Desculpe, não consegui processar este áudio. Tente enviar novamente.";
+        // Quem chamou decide a resposta (erro ou aviso de alta demanda)
+        throw error;
     }
 }
 
-// Funções da API OpenAI
-async function createNewThread() {
-    try {
-        const response = await openai.beta.threads.create();
-        const threadId = ensureStringThreadId(response.id);
-        logger.logThread('Nova thread criada', '', threadId);
-        return threadId;
-    } catch (error) {
-        logger.logError('Erro ao criar thread', error);
-        throw error;
-    }
+// 📄 LEITURA DE DOCUMENTOS (PDF, DOCX, XLSX, TXT, CSV)
+async function processDocument(buffer, { mimetype, fileName }) {
+    logger.logMedia('📄 INICIANDO LEITURA DE DOCUMENTO', '', 'document', {
+        file_name: fileName,
+        mimetype: mimetype,
+        buffer_size: buffer.length
+    });
+
+    const result = await extractDocumentText(buffer, { mimetype, fileName, maxChars: DOCUMENT_MAX_CHARS });
+
+    logger.logMedia('✅ TEXTO DO DOCUMENTO EXTRAÍDO', '', 'document', {
+        kind: result.kind,
+        text_length: result.text.length,
+        truncated: result.truncated
+    });
+
+    return result;
 }
 
-async function addMessageToThread(threadId, messageText) {
+// 🎬 ANÁLISE DE VÍDEO (quadros-chave enviados ao GPT-4o)
+async function processVideo(videoPath, caption = '', seconds = 0) {
     try {
-        const cleanThreadId = ensureStringThreadId(threadId);
-        logger.logThread('Adicionando mensagem à thread', '', cleanThreadId, {
-            message_length: messageText.length
+        logger.logMedia('🎬 INICIANDO PROCESSAMENTO DE VÍDEO', '', 'video', {
+            path: videoPath,
+            seconds: seconds,
+            frames: VIDEO_FRAMES
         });
-        
-        const response = await openai.beta.threads.messages.create(cleanThreadId, {
-            role: 'user',
-            content: String(messageText)
+
+        const frames = await sampleVideoFrames(videoPath, { seconds, frames: VIDEO_FRAMES, ffmpegPath: FFMPEG_PATH });
+        if (frames.length === 0) {
+            throw new Error('Nenhum quadro extraído do vídeo');
+        }
+
+        logger.logMedia('🖼️ QUADROS EXTRAÍDOS', '', 'video', {
+            frames: frames.length,
+            total_size: frames.reduce((total, frame) => total + frame.length, 0)
         });
-        
-        logger.logThread('Mensagem adicionada com sucesso', '', cleanThreadId, {
-            message_id: response.id
+
+        const prompt = `Estes são ${frames.length} quadros, em ordem, de um vídeo enviado por um cliente. `
+            + 'Descreva o que acontece no vídeo, com atenção a equipamentos, peças e possíveis problemas.'
+            + (caption ? ` Contexto adicional: ${caption}` : '');
+
+        const response = await callOpenAI('video', () => openai.chat.completions.create({
+            model: "gpt-4o",
+            messages: [
+                {
+                    role: "user",
+                    content: [
+                        { type: "text", text: prompt },
+                        ...frames.map(frame => ({
+                            type: "image_url",
+                            image_url: { url: `data:image/jpeg;base64,${frame.toString('base64')}` }
+                        }))
+                    ]
+                }
+            ],
+            max_tokens: 500
+        }));
+
+        const analysis = response.choices[0].message.content;
+        logger.logMedia('✅ ANÁLISE DE VÍDEO CONCLUÍDA', '', 'video', {
+            analysis_length: analysis.length,
+            response_preview: analysis.substring(0, 100) + '...'
         });
-        
-        return response;
+
+        return analysis;
     } catch (error) {
-        logger.logError('Erro ao adicionar mensagem à thread', error, { threadId });
-        throw error;
+        logger.logError('❌ ERRO NO PROCESSAMENTO DE VÍDEO', error, { path: videoPath });
+        // Limite da OpenAI persistente: quem chamou avisa o cliente em vez de pedir uma descrição
+        if (isRetryableError(error)) throw error;
+        return null;
+    } finally {
+        try {
+            if (fs.existsSync(videoPath)) {
+                fs.unlinkSync(videoPath);
+            }
+        } catch (cleanupError) {
+            logger.logError('Erro ao remover vídeo temporário', cleanupError, { path: videoPath });
+        }
     }
 }
 
-async function runAssistant(threadId) {
+// 📍 LOCALIZAÇÃO (endereço aproximado para perguntas de frete e visita)
+async function processLocation(location) {
+    const latitude = location.degreesLatitude;
+    const longitude = location.degreesLongitude;
+    let geocoded = null;
+
     try {
-        const cleanThreadId = ensureStringThreadId(threadId);
-        const assistantId = String(process.env.OPENAI_ASSISTANT_ID);
-        
-        logger.logThread('Executando assistente', '', cleanThreadId, { assistant_id: assistantId });
-        
-        const run = await openai.beta.threads.runs.create(cleanThreadId, {
-            assistant_id: assistantId
-        });
-        
-        logger.logThread('Execução iniciada', '', cleanThreadId, { 
-            run_id: run.id,
-            status: run.status 
+        geocoded = await reverseGeocode(latitude, longitude, { baseUrl: GEOCODING_URL });
+        logger.logMedia('📍 ENDEREÇO DA LOCALIZAÇÃO ENCONTRADO', '', 'location', {
+            city: geocoded.city,
+            state: geocoded.state
         });
-        
-        return run;
     } catch (error) {
-        logger.logError('Erro ao executar assistente', error, { threadId });
-        throw error;
+        // Sem o endereço, o assistente ainda recebe as coordenadas
+        logger.logError('Erro ao buscar endereço da localização', error, { latitude, longitude });
     }
+
+    return {
+        latitude,
+        longitude,
+        name: location.name || null,
+        address: geocoded?.address || location.address || null,
+        city: geocoded?.city || null,
+        state: geocoded?.state || null,
+        postcode: geocoded?.postcode || null
+    };
 }
 
-async function waitForRunCompletion(threadId, runId) {
-    try {
-        const cleanThreadId = ensureStringThreadId(threadId);
-        let attempts = 0;
-        const maxAttempts = 60; // 60 segundos máximo
-        
-        logger.logThread('Aguardando conclusão da execução', '', cleanThreadId, { 
-            run_id: runId,
-            max_attempts: maxAttempts 
+// Resposta fixa (figurinhas e reações), citando a mensagem quando for grupo
+async function sendAcknowledgement(session, from, replyTo, text) {
+    const chatJid = replyTo ? replyTo.chatJid : from;
+    await session.sock.sendMessage(chatJid, { text }, replyTo ? { quoted: replyTo.quoted } : undefined);
+    session.store.addMessage({ jid: from, direction: 'out', content: text });
+}
+
+// 📚 Materiais pedidos pelo assistente com [ENVIAR_MATERIAL:id]: saem do texto e vão para a lista de envio
+function takeMediaMarkers(text, attachments) {
+    const { text: clean, ids } = mediaLibrary.extractMarkers(text);
+    
+    for (const id of ids) {
+        if (!mediaLibrary.get(id)) {
+            logger.logInfo('📚 MATERIAL PEDIDO NÃO EXISTE NA BIBLIOTECA', { id });
+        } else if (!attachments.includes(id)) {
+            attachments.push(id);
+        }
+    }
+    return clean;
+}
+
+async function sendLibraryMedia(session, from, chatJid, ids) {
+    const sent = [];
+    
+    for (const id of ids) {
+        try {
+            const item = mediaLibrary.get(id);
+            await session.sock.sendMessage(chatJid, mediaLibrary.buildMessage(id));
+            session.store.addMessage({
+                jid: from,
+                direction: 'out',
+                content: item.caption || item.title,
+                mediaType: item.type,
+                metadata: { library_id: id, file_name: item.fileName }
+            });
+            sent.push(id);
+        } catch (error) {
+            logger.logError('Erro ao enviar material da biblioteca', error, {
+                session: session.id,
+                from: from.replace('@s.whatsapp.net', ''),
+                id
+            });
+        }
+    }
+    
+    if (sent.length > 0) {
+        logger.logSuccess('📚 MATERIAIS ENVIADOS', {
+            session: session.id,
+            from: from.replace('@s.whatsapp.net', ''),
+            ids: sent
+        });
+    }
+    return sent;
+}
+
+// ✍️ "Digitando..." enquanto o modelo gera a resposta (o WhatsApp apaga o status após alguns segundos)
+function keepTyping(sock, jid) {
+    if (!sock) return () => {};
+    
+    const refresh = () => sock.sendPresenceUpdate('composing', jid).catch(() => {});
+    refresh();
+    const timer = setInterval(refresh, 8000);
+    
+    return () => {
+        clearInterval(timer);
+        sock.sendPresenceUpdate('paused', jid).catch(() => {});
+    };
+}
+
+// 🎙️ RESPOSTAS EM ÁUDIO
+function shouldReplyWithVoice(session, from, { fromAudio = false, group = null } = {}) {
+    if (!ttsProvider || group) return false;
+    
+    const mode = session.store.getReplyMode(from) || VOICE_REPLY_DEFAULT;
+    return mode === 'voice' || (mode === 'auto' && fromAudio);
+}
+
+async function sendVoiceReply(session, from, text, sendOptions) {
+    const { speech, fallback } = prepareSpeech(text);
+    
+    // Respostas longas demais (listas, orçamentos) ficam melhores por escrito
+    if (!speech || speech.length > TTS_MAX_CHARS) {
+        logger.logInfo('🎙️ RESPOSTA ENVIADA EM TEXTO: LONGA DEMAIS PARA ÁUDIO', {
+            session: session.id,
+            from: from.replace('@s.whatsapp.net', ''),
+            speech_length: speech.length,
+            max_chars: TTS_MAX_CHARS
         });
+        return false;
+    }
+    
+    try {
+        const startTime = Date.now();
+        const synthesized = await ttsProvider.synthesize(speech);
+        const audio = await transcodeToOpus(synthesized.buffer, synthesized.format, { ffmpegPath: FFMPEG_PATH });
         
-        while (attempts < maxAttempts) {
-            const run = await openai.beta.threads.runs.retrieve(cleanThreadId, runId);
-            
-            logger.logThread('Status da execução', '', cleanThreadId, {
-                run_id: runId,
-                status: run.status,
-                attempt: attempts + 1
-            });
-            
-            if (run.status === 'completed') {
-                logger.logThread('Execução concluída com sucesso', '', cleanThreadId, { 
-                    run_id: runId,
-                    total_attempts: attempts + 1 
-                });
-                return run;
-            }
-            
-            if (run.status === 'failed' || run.status === 'cancelled' || run.status === 'expired') {
-                throw new Error(`Execução falhou com status: ${run.status}`);
-            }
-            
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            attempts++;
+        await session.sock.sendMessage(from, { audio, mimetype: 'audio/ogg; codecs=opus', ptt: true }, sendOptions);
+        if (fallback) {
+            await session.sock.sendMessage(from, { text: fallback });
         }
         
-        throw new Error('Timeout: Execução não concluída no tempo esperado');
+        logger.logMedia('🎙️ RESPOSTA EM ÁUDIO ENVIADA', from, 'audio', {
+            provider: ttsProvider.name,
+            speech_length: speech.length,
+            audio_size: audio.length,
+            with_text_fallback: Boolean(fallback),
+            processing_time: Date.now() - startTime
+        });
+        return true;
     } catch (error) {
-        logger.logError('Erro ao aguardar conclusão da execução', error, { threadId, runId });
-        throw error;
+        logger.logError('Erro ao gerar resposta em áudio', error, {
+            session: session.id,
+            from: from.replace('@s.whatsapp.net', ''),
+            provider: ttsProvider.name
+        });
+        return false;
     }
 }
 
-async function getLatestMessage(threadId) {
-    try {
-        const cleanThreadId = ensureStringThreadId(threadId);
-        const messages = await openai.beta.threads.messages.list(cleanThreadId);
-        
-        if (messages.data.length === 0) {
-            throw new Error('Nenhuma mensagem encontrada na thread');
+// 🏢 ROTEAMENTO PARA DEPARTAMENTOS
+async function routeToDepartment(session, from, messageText) {
+    const number = from.replace('@s.whatsapp.net', '');
+    
+    // Resposta a uma oferta de encaminhamento feita anteriormente
+    const forward = departmentRouter.resolveForward(session.id, from, messageText);
+    if (forward) {
+        if (!forward.accepted) {
+            return 'Tudo bem! Se precisar de mais alguma coisa, é só chamar.';
         }
         
-        const latestMessage = messages.data[0];
+        await session.sock.sendMessage(forward.department.whatsappJid, {
+            text: `📨 *Mensagem encaminhada pelo A.IDUGEL*\n\nCliente: ${number}\nMensagem: ${forward.messageText}`
+        });
         
-        if (latestMessage.role !== 'assistant') {
-            throw new Error('Última mensagem não é do assistente');
-        }
+        logger.logSuccess('📨 MENSAGEM ENCAMINHADA AO DEPARTAMENTO', {
+            from: number,
+            department: forward.department.id
+        });
         
-        const content = latestMessage.content[0];
-        if (content.type !== 'text') {
-            throw new Error('Conteúdo da mensagem não é texto');
-        }
+        const when = departmentRouter.isOpen(forward.department) ? '' : ' no próximo expediente';
+        return `✅ Pronto! Encaminhamos sua mensagem para o setor de ${forward.department.name}. Eles continuam o atendimento${when} pelo WhatsApp ${forward.department.phone || forward.department.whatsapp}.`;
+    }
+    
+    const match = departmentRouter.classify(messageText);
+    if (!match) {
+        return null;
+    }
+    
+    if (match.department.whatsappJid) {
+        departmentRouter.offerForward(session.id, from, match.department, messageText);
+    }
+    
+    logger.logInfo('🏢 ASSUNTO DE DEPARTAMENTO IDENTIFICADO', {
+        from: number,
+        department: match.department.id,
+        keywords: match.matches,
+        is_open: departmentRouter.isOpen(match.department)
+    });
+    
+    return departmentRouter.buildReply(match.department);
+}
+
+// 🎯 CAPTURA DE LEADS (roda em paralelo, sem atrasar a resposta)
+async function captureLead(session, from, messageText, reply) {
+    const { leadManager } = session;
+    
+    try {
+        const { lead, changed, newlyQualified } = await leadManager.process(from, messageText, reply);
         
-        const responseText = content.text.value;
+        if (!changed && !newlyQualified) {
+            return;
+        }
         
-        logger.logThread('Mensagem obtida', '', cleanThreadId, {
-            message_id: latestMessage.id,
-            content_length: responseText.length,
-            content_preview: responseText.substring(0, 100) + '...'
+        logger.logInfo(newlyQualified ? '🎯 LEAD QUALIFICADO' : '🎯 LEAD ATUALIZADO', {
+            from: from.replace('@s.whatsapp.net', ''),
+            ...leadManager.toPublic(lead)
         });
         
-        return responseText;
+        if (lead.qualified) {
+            if (newlyQualified) {
+                webhookBus.emit('lead.qualified', { session: session.id, ...leadManager.toPublic(lead) });
+            }
+            
+            // Fora do expediente o comercial recebe o lead na abertura
+            const schedule = afterHoursStatus();
+            if (schedule && leadManager.webhookUrl) {
+                session.store.deferNotification({
+                    jid: from,
+                    kind: 'lead',
+                    payload: { event: newlyQualified ? 'lead.qualified' : 'lead.updated' },
+                    dueAt: schedule.nextOpen.toISOString()
+                });
+                logger.logInfo('🕗 LEAD AGENDADO PARA A ABERTURA', {
+                    from: from.replace('@s.whatsapp.net', ''),
+                    due_at: schedule.nextOpen.toISOString()
+                });
+                return;
+            }
+            
+            const event = newlyQualified ? 'lead.qualified' : 'lead.updated';
+            try {
+                const sent = await leadManager.pushWebhook(lead, event);
+                if (sent) {
+                    logger.logSuccess('🎯 LEAD ENVIADO AO WEBHOOK', { from: from.replace('@s.whatsapp.net', '') });
+                }
+            } catch (error) {
+                // Guarda o envio com os avisos adiados para não perder o lead
+                const retryAt = new Date(Date.now() + LEADS_WEBHOOK_RETRY_MS).toISOString();
+                session.store.deferNotification({ jid: from, kind: 'lead', payload: { event }, dueAt: retryAt });
+                logger.logError('Erro ao enviar lead ao webhook, novo envio agendado', error, {
+                    from: from.replace('@s.whatsapp.net', ''),
+                    due_at: retryAt
+                });
+            }
+        }
     } catch (error) {
-        logger.logError('Erro ao obter última mensagem', error, { threadId });
-        throw error;
+        logger.logError('Erro na captura de lead', error, { from: from.replace('@s.whatsapp.net', '') });
     }
 }
 
 // ✅ FUNÇÃO PROCESSMESSAGE ESTÁVEL COM LOGGING COMPLETO
-async function processMessage(from, messageText, mediaType = 'text') {
+async function processMessage(session, from, messageText, mediaType = 'text', { group = null, quotes = [], onPartial = null, attachments = [], onRetry = null, signal = null, onCommit = null, onMessageAdded = null } = {}) {
+    const { store, threadManager, handoffManager, llmProvider } = session;
     const startTime = Date.now();
     
     try {
@@ -792,40 +1590,149 @@ async function processMessage(from, messageText, mediaType = 'text') {
         let threadId = threadManager.getThreadId(from);
         const isFirstInteraction = threadManager.isFirstInteraction(from);
         
+        // Assuntos de RH, financeiro, compras e entregas são respondidos pela tabela de departamentos
+        // (só para o que o cliente escreveu ou falou; documentos e mídias vão direto ao assistente)
+        if (mediaType === 'text' || mediaType === 'audio') {
+            const routedReply = await routeToDepartment(session, from, messageText);
+            if (routedReply) {
+                const processingTime = Date.now() - startTime;
+                store.addMessage({ jid: from, direction: 'out', content: routedReply, processingTime, threadId });
+                logger.logConversation('Roteado para departamento', from, messageText, routedReply, threadId, {
+                    processing_time: processingTime,
+                    media_type: mediaType
+                });
+                return routedReply;
+            }
+        }
+        
+        // Em grupos o assistente recebe quem está falando e em qual grupo
+        const senderContext = group
+            ? `[Mensagem de ${group.senderName} no grupo "${group.subject}"] `
+            : '';
+        
+        // Resposta a uma mensagem anterior: o assistente recebe o que foi citado
+        const quoteContext = describeQuotes(quotes);
+        
+        // Fora do expediente o assistente sabe quando a equipe volta
+        const schedule = afterHoursStatus();
+        const scheduleContext = schedule
+            ? `[Fora do horário de atendimento${schedule.reason ? ` (${schedule.reason})` : ''}. A equipe volta ${businessHours.describe(schedule.nextOpen)}; não prometa contato humano antes disso.] `
+            : '';
+        
         // Preparar mensagem com contexto adequado
         let contextualMessage;
         if (isFirstInteraction) {
-            contextualMessage = `Esta é a primeira interação com este usuário. ${messageText}`;
+            contextualMessage = `Esta é a primeira interação com este usuário. ${senderContext}${quoteContext}${scheduleContext}${messageText}`;
         } else {
-            contextualMessage = `Continuando nossa conversa (não se apresente novamente): ${messageText}`;
+            contextualMessage = `Continuando nossa conversa (não se apresente novamente): ${senderContext}${quoteContext}${scheduleContext}${messageText}`;
         }
         
         if (!threadId) {
-            threadId = await createNewThread();
+            threadId = await llmProvider.createThread();
             threadManager.setThreadId(from, threadId);
         }
         
-        await addMessageToThread(threadId, contextualMessage);
-        const run = await runAssistant(threadId);
-        await waitForRunCompletion(threadId, run.id);
-        const response = await getLatestMessage(threadId);
+        // Trechos da base de conhecimento local (CUSTOM_CONTENT_PATH)
+        const contentResults = contentManager.hasContent() ? await contentManager.searchContent(messageText) : [];
+        const relevantContent = contentManager.formatResults(contentResults);
+        if (contentResults.length > 0) {
+            logger.logInfo('📚 CONTEÚDO LOCAL ENCONTRADO', {
+                from: from.replace('@s.whatsapp.net', ''),
+                chunks: contentResults.map(result => ({ source: result.source, score: result.score })),
+                content_length: relevantContent.length
+            });
+        }
+        
+        // Com streaming, parágrafos prontos já seguem para o cliente enquanto o modelo escreve
+        const sentParts = [];
+        let partialHandoff = false;
+        const chunker = onPartial
+            ? new StreamChunker({
+                minChars: STREAM_CHUNK_MIN_CHARS,
+                onChunk: async (chunk) => {
+                    const part = handoffManager.extractIntent(chunk);
+                    partialHandoff = partialHandoff || part.requested;
+                    
+                    const text = formatForWhatsApp(removeCitations(takeMediaMarkers(part.text, attachments)));
+                    if (!text) return;
+                    
+                    try {
+                        await onPartial(text);
+                        sentParts.push(text);
+                    } catch (error) {
+                        logger.logError('Erro ao enviar trecho da resposta', error, { from, part: sentParts.length + 1 });
+                    }
+                }
+            })
+            : null;
+        
+        const response = await llmProvider.generateReply(threadId, contextualMessage, {
+            relevantContent,
+            toolContext: { session, from, attachments, onExecute: onCommit || undefined },
+            onText: chunker ? (delta) => chunker.push(delta) : undefined,
+            onRetry: onRetry || undefined,
+            signal: signal || undefined,
+            onMessageAdded: onMessageAdded || undefined
+        });
+        
+        // O que já foi enviado em trechos não volta na resposta final
+        const rest = chunker ? await chunker.finish() : '';
+        
+        // O assistente sinaliza com um marcador quando o cliente precisa de um humano
+        const intent = handoffManager.extractIntent(sentParts.length > 0 ? rest : response);
+        const handoffRequested = intent.requested || partialHandoff;
         
         // Aplicar formatações
-        const cleanResponse = removeCitations(response);
-        const formattedResponse = formatForWhatsApp(cleanResponse);
+        const cleanResponse = removeCitations(takeMediaMarkers(intent.text, attachments));
+        let formattedResponse = formatForWhatsApp(cleanResponse);
+        
+        // Atendimento humano e leads valem só para conversas individuais
+        if (handoffRequested && handoffManager.staffJids.length > 0 && !group) {
+            const notice = await requestHandoff(session, from, { trigger: 'intent', reason: 'identificado pelo assistente' });
+            formattedResponse = formattedResponse ? `${formattedResponse}\n\n${notice}` : notice;
+        }
+        
+        // A primeira resposta de cada período fechado avisa quando a equipe volta
+        if (schedule && !group && session.afterHoursNotified.get(from) !== schedule.nextOpen.toISOString()) {
+            session.afterHoursNotified.set(from, schedule.nextOpen.toISOString());
+            const notice = afterHoursNotice(businessHours.describe(schedule.nextOpen), schedule.reason);
+            formattedResponse = formattedResponse ? `${formattedResponse}\n\n${notice}` : notice;
+        }
+        
+        // Histórico e leads usam a resposta inteira, com os trechos já enviados
+        const fullResponse = [...sentParts, formattedResponse].filter(Boolean).join('\n\n');
         
         const processingTime = Date.now() - startTime;
         
+        store.addMessage({
+            jid: from,
+            direction: 'out',
+            content: fullResponse,
+            mediaType: 'text',
+            processingTime,
+            threadId
+        });
+        
+        if (LEADS_ENABLED && !group) {
+            captureLead(session, from, messageText, fullResponse);
+        }
+        
         // ✅ LOGGING COMPLETO COM is_first_interaction
-        logger.logConversation('Processamento concluído', from, messageText, formattedResponse, threadId, {
+        logger.logConversation('Processamento concluído', from, messageText, fullResponse, threadId, {
             processing_time: processingTime,
             media_type: mediaType,
-            response_length: formattedResponse.length,
-            is_first_interaction: isFirstInteraction
+            response_length: fullResponse.length,
+            streamed_parts: sentParts.length,
+            is_first_interaction: isFirstInteraction,
+            quoted_messages: quotes.length,
+            used_local_content: Boolean(relevantContent)
         });
         
         return formattedResponse;
     } catch (error) {
+        // Execução cancelada por uma correção do cliente: quem chamou descarta a resposta
+        if (signal && signal.aborted) throw error;
+        
         const processingTime = Date.now() - startTime;
         logger.logError('Erro no processamento da mensagem', error, {
             from,
@@ -833,41 +1740,322 @@ async function processMessage(from, messageText, mediaType = 'text') {
             media_type: mediaType
         });
         
-        return "❌ Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente em alguns instantes.";
+        // A fila marca o job (nova tentativa ou falha) e avisa o cliente
+        throw error;
+    }
+}
+
+// 👤 ATENDIMENTO HUMANO (HANDOFF)
+async function notifyStaff(session, text) {
+    if (!session.sock) return;
+    
+    for (const staffJid of session.handoffManager.staffJids) {
+        try {
+            await session.sock.sendMessage(staffJid, { text });
+        } catch (error) {
+            logger.logError('Erro ao notificar equipe', error, {
+                staff: staffJid.replace('@s.whatsapp.net', '')
+            });
+        }
+    }
+}
+
+// 🔧 Pedido de visita técnica feito pelo assistente (ferramenta agendar_visita_tecnica)
+async function requestTechnicalVisit(request, { session, from }) {
+    const number = from.replace('@s.whatsapp.net', '');
+    
+    await notifyStaff(session, `🔧 *Pedido de visita técnica ${request.protocol}*
+Cliente: ${number}
+Local: ${[request.city, request.state].filter(Boolean).join(' - ')}
+Motivo: ${request.reason}${request.equipment ? `\nEquipamento: ${request.equipment}` : ''}${request.preferredDate ? `\nData preferida: ${request.preferredDate}` : ''}${request.contact ? `\nContato: ${request.contact}` : ''}`);
+    
+    webhookBus.emit('visit.requested', {
+        session: session.id,
+        from: number,
+        jid: from,
+        protocol: request.protocol,
+        city: request.city,
+        state: request.state,
+        reason: request.reason,
+        equipment: request.equipment,
+        preferred_date: request.preferredDate,
+        contact: request.contact
+    });
+    
+    logger.logSuccess('🔧 VISITA TÉCNICA SOLICITADA', {
+        session: session.id,
+        from: number,
+        protocol: request.protocol
+    });
+}
+
+// Pedido de atendimento humano do cliente: no expediente transfere na hora; fora dele, fica para a abertura
+async function requestHandoff(session, from, { trigger, reason = null }) {
+    const schedule = afterHoursStatus();
+    if (!schedule) {
+        await startHandoff(session, from, { trigger, reason });
+        return HANDOFF_CUSTOMER_NOTICE;
+    }
+    
+    const dueAt = schedule.nextOpen.toISOString();
+    const deferred = session.store.deferNotification({ jid: from, kind: 'handoff', payload: { trigger, reason }, dueAt });
+    logger.logInfo('🕗 ATENDIMENTO HUMANO AGENDADO PARA A ABERTURA', {
+        session: session.id,
+        from: from.replace('@s.whatsapp.net', ''),
+        trigger,
+        reason,
+        due_at: dueAt,
+        already_pending: !deferred
+    });
+    
+    // O aviso de pedido já diz quando a equipe volta
+    session.afterHoursNotified.set(from, dueAt);
+    return handoffAfterHoursNotice(businessHours.describe(schedule.nextOpen));
+}
+
+async function startHandoff(session, from, { trigger, reason = null, agent = null }) {
+    const { handoff, created } = session.handoffManager.start(from, { trigger, reason, agent });
+    const number = from.replace('@s.whatsapp.net', '');
+    
+    logger.logInfo(created ? '👤 ATENDIMENTO HUMANO INICIADO' : '👤 ATENDIMENTO HUMANO RENOVADO', {
+        session: session.id,
+        from: number,
+        trigger,
+        reason,
+        agent: agent ? agent.replace('@s.whatsapp.net', '') : null,
+        expires_at: handoff.expires_at
+    });
+    
+    if (created) {
+        webhookBus.emit('handoff.requested', {
+            session: session.id,
+            from: number,
+            jid: from,
+            trigger,
+            reason,
+            expires_at: handoff.expires_at
+        });
+        
+        await notifyStaff(session, `👤 *Atendimento humano solicitado*
+
+Cliente: ${number}
+Linha: ${session.name}
+Origem: ${trigger}${reason ? ` (${reason})` : ''}
+
+*Resumo da conversa:*
+${session.handoffManager.buildSummary(from)}
+
+Responda com /responder ${number} <mensagem> ou devolva ao bot com /liberar ${number}.`);
+    }
+    
+    return handoff;
+}
+
+async function releaseHandoff(session, from, reason) {
+    const handoff = session.handoffManager.release(from, { reason });
+    if (!handoff) return null;
+    
+    const number = from.replace('@s.whatsapp.net', '');
+    logger.logInfo('🤖 ATENDIMENTO DEVOLVIDO AO BOT', { session: session.id, from: number, reason });
+    webhookBus.emit('handoff.released', { session: session.id, from: number, jid: from, reason });
+    await notifyStaff(session, `🤖 O atendimento de ${number} voltou para o bot (${reason}).`);
+    
+    return handoff;
+}
+
+async function releaseExpiredHandoffs() {
+    for (const session of sessions.values()) {
+        try {
+            for (const handoff of session.handoffManager.releaseExpired()) {
+                const number = handoff.jid.replace('@s.whatsapp.net', '');
+                logger.logInfo('🤖 ATENDIMENTO DEVOLVIDO AO BOT', { session: session.id, from: number, reason: 'timeout' });
+                webhookBus.emit('handoff.released', { session: session.id, from: number, jid: handoff.jid, reason: 'timeout' });
+                await notifyStaff(session, `🤖 O atendimento de ${number} voltou para o bot (timeout).`);
+            }
+        } catch (error) {
+            logger.logError('Erro ao encerrar atendimentos expirados', error, { session: session.id });
+        }
     }
 }
 
-// Configuração do socket WhatsApp
-let sock;
-let qrCodeData = '';
-let isConnected = false;
+// 🕗 Pedidos de atendimento humano e leads guardados fora do horário
+// Cada aviso é tentado sozinho: uma falha adia só ele, até DEFERRED_MAX_ATTEMPTS tentativas
+const DEFERRED_MAX_ATTEMPTS = parseInt(process.env.DEFERRED_MAX_ATTEMPTS || 5);
+const DEFERRED_RETRY_MS = 5 * 60 * 1000;
+let deliveringDeferred = false;
 
-// Estatísticas globais
+async function deliverDeferredNotifications() {
+    // Uma rodada lenta (webhook demorando) não pode se sobrepor à próxima
+    if (deliveringDeferred || afterHoursStatus()) return;
+    deliveringDeferred = true;
+    
+    try {
+        for (const session of sessions.values()) {
+            if (!session.isConnected) continue;
+            
+            let due = [];
+            try {
+                due = session.store.listDueNotifications();
+            } catch (error) {
+                logger.logError('Erro ao listar avisos adiados', error, { session: session.id });
+                continue;
+            }
+            
+            for (const notification of due) {
+                await deliverDeferredNotification(session, notification);
+            }
+        }
+    } finally {
+        deliveringDeferred = false;
+    }
+}
+
+async function deliverDeferredNotification(session, notification) {
+    const number = notification.jid.replace('@s.whatsapp.net', '');
+    
+    try {
+        if (notification.kind === 'handoff' && !session.handoffManager.isActive(notification.jid)) {
+            const { trigger, reason } = notification.payload;
+            await startHandoff(session, notification.jid, {
+                trigger,
+                reason: reason ? `${reason}, pedido fora do horário` : 'pedido fora do horário'
+            });
+        } else if (notification.kind === 'lead') {
+            // O lead pode ter mudado desde o pedido: envia a versão atual
+            const lead = session.store.getLead(notification.jid);
+            if (lead && lead.qualified) {
+                await session.leadManager.pushWebhook(lead, notification.payload.event || 'lead.updated');
+            }
+        }
+        
+        session.store.markNotificationDelivered(notification.id);
+        logger.logInfo('🕗 AVISO ADIADO ENTREGUE', { session: session.id, from: number, kind: notification.kind });
+    } catch (error) {
+        const attempts = notification.attempts + 1;
+        const retryAt = attempts < DEFERRED_MAX_ATTEMPTS
+            ? new Date(Date.now() + DEFERRED_RETRY_MS * attempts).toISOString()
+            : null;
+        
+        logger.logError(retryAt ? 'Erro ao entregar aviso adiado, nova tentativa agendada' : 'Aviso adiado abandonado após tentativas', error, {
+            session: session.id,
+            from: number,
+            kind: notification.kind,
+            attempts,
+            retry_at: retryAt
+        });
+        
+        try {
+            session.store.failNotification(notification.id, { error: error.message, retryAt });
+        } catch (storeError) {
+            logger.logError('Erro ao registrar falha do aviso adiado', storeError, { session: session.id, id: notification.id });
+        }
+    }
+}
+
+async function handleStaffCommand(session, staffJid, text) {
+    const { sock, store, handoffManager } = session;
+    const parsed = handoffManager.parseStaffCommand(text) || { command: 'ajuda', jid: null, text: '' };
+    const reply = (message) => sock.sendMessage(staffJid, { text: message });
+    
+    logger.logInfo('🛠️ COMANDO DA EQUIPE', {
+        staff: staffJid.replace('@s.whatsapp.net', ''),
+        command: parsed.command,
+        target: parsed.jid ? parsed.jid.replace('@s.whatsapp.net', '') : null
+    });
+    
+    if (parsed.command === 'atendimentos') {
+        const active = handoffManager.listActive();
+        await reply(active.length === 0
+            ? 'Nenhum atendimento humano ativo.'
+            : `*Atendimentos ativos:*\n${active.map(handoff => `• ${handoff.jid.replace('@s.whatsapp.net', '')} (${handoff.trigger}, expira ${handoff.expires_at})`).join('\n')}`);
+        return;
+    }
+    
+    if (['assumir', 'liberar', 'responder'].includes(parsed.command) && !parsed.jid) {
+        await reply(`Informe o número do cliente: /${parsed.command} 5549999999999`);
+        return;
+    }
+    
+    if (parsed.command === 'assumir') {
+        await startHandoff(session, parsed.jid, { trigger: 'staff', reason: 'assumido pela equipe', agent: staffJid });
+        await reply(`✅ Você assumiu o atendimento de ${parsed.jid.replace('@s.whatsapp.net', '')}. O bot não responderá até /liberar.`);
+        return;
+    }
+    
+    if (parsed.command === 'liberar') {
+        const released = await releaseHandoff(session, parsed.jid, 'liberado pela equipe');
+        if (!released) {
+            await reply('Este contato não está em atendimento humano.');
+        }
+        return;
+    }
+    
+    if (parsed.command === 'responder') {
+        if (!parsed.text) {
+            await reply(`Informe a mensagem: /responder ${parsed.jid.replace('@s.whatsapp.net', '')} <mensagem>`);
+            return;
+        }
+        
+        // Responder também assume (ou renova) o atendimento
+        await startHandoff(session, parsed.jid, { trigger: 'staff', reason: 'resposta da equipe', agent: staffJid });
+        await sock.sendMessage(parsed.jid, { text: parsed.text });
+        store.addMessage({ jid: parsed.jid, direction: 'out', content: parsed.text, author: staffJid });
+        return;
+    }
+    
+    await reply(`*Comandos da equipe:*
+/assumir <número> - Assume o atendimento
+/responder <número> <mensagem> - Responde ao cliente (ou /r)
+/liberar <número> - Devolve o atendimento ao bot
+/atendimentos - Lista atendimentos ativos`);
+}
+
+// Estatísticas globais (somadas de todas as sessões)
 global.stats = {
     messages: 0,
     images: 0,
     audios: 0,
+    documents: 0,
+    videos: 0,
     uptime: Date.now()
 };
 
-async function connectToWhatsApp() {
+// Nome do grupo (consultado uma vez por sessão)
+async function getGroupSubject(session, groupJid) {
+    if (!session.groupNames.has(groupJid)) {
+        try {
+            const metadata = await session.sock.groupMetadata(groupJid);
+            session.groupNames.set(groupJid, metadata.subject || groupJid);
+        } catch (error) {
+            logger.logError('Erro ao buscar dados do grupo', error, { session: session.id, group: groupJid });
+            return groupJid;
+        }
+    }
+    return session.groupNames.get(groupJid);
+}
+
+// Configuração do socket WhatsApp de uma sessão (chamada de novo a cada reconexão)
+async function connectToWhatsApp(session) {
+    const { store, handoffManager, messageQueue, outboundQueue } = session;
+    
     try {
-        const { state, saveCreds } = await useMultiFileAuthState('auth_info_baileys');
+        const { state, saveCreds } = await useMultiFileAuthState(session.authDir);
         
-        sock = makeWASocket({
+        const sock = makeWASocket({
             auth: state,
             printQRInTerminal: false,
             logger: logger,
             browser: ['A.IDUGEL Bot', 'Chrome', '1.0.0']
         });
+        session.sock = sock;
 
         sock.ev.on('connection.update', async (update) => {
             const { connection, lastDisconnect, qr } = update;
             
             if (qr) {
                 try {
-                    console.log('🔐 QR Code gerado! Acesse a página web para escanear.');
-                    logger.logSuccess('QR Code gerado', { qr_length: qr.length });
+                    console.log(`🔐 QR Code gerado para a sessão ${session.id}! Acesse a página web para escanear.`);
+                    logger.logSuccess('QR Code gerado', { session: session.id, qr_length: qr.length });
                     
                     // Converter QR Code para base64
                     const qrCodeDataURL = await QRCode.toDataURL(qr, {
@@ -882,7 +2070,7 @@ async function connectToWhatsApp() {
                         }
                     });
                     
-                    qrCodeData = `
+                    session.qrCodeData = `
                         <div style="text-align: center; padding: 20px;">
                             <h3 style="color: #333; margin-bottom: 20px;">📱 Escaneie o QR Code</h3>
                             <div style="background: white; padding: 20px; border-radius: 10px; box-shadow: 0 4px 8px rgba(0,0,0,0.1); display: inline-block;">
@@ -892,70 +2080,236 @@ async function connectToWhatsApp() {
                         </div>
                     `;
                 } catch (error) {
-                    logger.logError('Erro ao gerar QR Code', error);
-                    qrCodeData = '<p style="color: red;">Erro ao gerar QR Code</p>';
+                    logger.logError('Erro ao gerar QR Code', error, { session: session.id });
+                    session.qrCodeData = '<p style="color: red;">Erro ao gerar QR Code</p>';
                 }
             }
             
             if (connection === 'close') {
                 const shouldReconnect = (lastDisconnect?.error)?.output?.statusCode !== DisconnectReason.loggedOut;
                 logger.logInfo('Conexão fechada', { 
+                    session: session.id,
                     should_reconnect: shouldReconnect,
                     reason: lastDisconnect?.error?.output?.statusCode 
                 });
                 
                 if (shouldReconnect) {
-                    connectToWhatsApp();
+                    connectToWhatsApp(session);
                 }
-                isConnected = false;
+                session.isConnected = false;
+                webhookBus.emit('connection.close', {
+                    session: session.id,
+                    reason: lastDisconnect?.error?.output?.statusCode || null,
+                    will_reconnect: shouldReconnect
+                });
             } else if (connection === 'open') {
-                logger.logSuccess('Conectado ao WhatsApp');
-                isConnected = true;
-                qrCodeData = '<p style="color: green;">✅ WhatsApp conectado com sucesso!</p>';
+                logger.logSuccess('Conectado ao WhatsApp', { session: session.id });
+                session.isConnected = true;
+                session.stats.connected_at = new Date().toISOString();
+                session.qrCodeData = '<p style="color: green;">✅ WhatsApp conectado com sucesso!</p>';
+                webhookBus.emit('connection.open', { session: session.id, jid: sock.user?.id || null });
+                
+                // Mensagens que ficaram sem resposta no último encerramento voltam para a fila
+                if (!session.queueRestored) {
+                    session.queueRestored = true;
+                    messageQueue.restore();
+                    recoverInboundMessages().catch(error => {
+                        logger.logError('Erro ao retomar mensagens recebidas', error, { session: session.id });
+                    });
+                }
             }
         });
 
         sock.ev.on('creds.update', saveCreds);
 
+        // Recibos de entrega e leitura dos envios feitos pela API
+        sock.ev.on('messages.update', (updates) => {
+            for (const { key, update } of updates) {
+                if (!key.fromMe || update.status === undefined || update.status === null) continue;
+                
+                const record = outboundQueue.applyReceipt(key.id, update.status);
+                if (record) {
+                    logger.logInfo('📬 RECIBO DE ENVIO', { session: session.id, id: record.id, status: record.status });
+                }
+            }
+        });
+
+        // "Digitando..." do cliente adia a resposta enquanto ele ainda escreve
+        sock.ev.on('presence.update', ({ id, presences }) => {
+            for (const [participant, presence] of Object.entries(presences || {})) {
+                const from = isGroupJid(id) ? groupConversationKey(id, participant) : id;
+                messageQueue.noteTyping(from, presence.lastKnownPresence);
+            }
+        });
+
         // ✅ EVENT LISTENER COM PROCESSAMENTO DE IMAGEM CORRIGIDO
-        sock.ev.on('messages.upsert', async (m) => {
+        // Trata uma mensagem recebida; um return encerra só esta mensagem do lote.
+        // recovered: mensagem gravada antes de uma queda, retomada na reconexão
+        const handleIncomingMessage = async (message, { recovered = false } = {}) => {
+            let seen = recovered;
+            let failed = false;
             try {
-                const message = m.messages[0];
+                // Mensagens antigas (histórico, reconexão depois de muito tempo fora) não são respondidas,
+                // mesmo que o ID já tenha saído da tabela de mensagens vistas
+                const sentAt = messageTimestampMs(message);
+                if (sentAt && Date.now() - sentAt > INBOUND_MAX_AGE_MS) {
+                    logger.logInfo('🕰️ MENSAGEM ANTIGA IGNORADA', {
+                        session: session.id,
+                        message_id: message.key.id,
+                        sent_at: new Date(sentAt).toISOString()
+                    });
+                    return;
+                }
                 
                 if (!message.key.fromMe && message.message) {
-                    const from = message.key.remoteJid;
+                    const chatJid = message.key.remoteJid;
+                    const isGroup = isGroupJid(chatJid);
                     
-                    // Ignorar mensagens de grupo
-                    if (from.includes('@g.us')) {
+                    // Grupos só com opt-in, e apenas quando o bot é mencionado ou citado
+                    if (isGroup && (!session.groupAllowlist.has(chatJid) || !isBotAddressed(sock, message))) {
                         return;
                     }
                     
+                    // A ressincronização do histórico reenvia mensagens já vistas: cada ID é tratado uma vez só.
+                    // A mensagem original é gravada junto, antes do download e da análise de mídia,
+                    // para ser retomada se o bot cair antes de ela chegar à fila
+                    if (!recovered && !store.markMessageSeen(message.key.id, chatJid, JSON.stringify(message, BufferJSON.replacer))) {
+                        logger.logInfo('🔁 MENSAGEM DUPLICADA IGNORADA', {
+                            session: session.id,
+                            message_id: message.key.id
+                        });
+                        return;
+                    }
+                    seen = true;
+                    
+                    // Presença do contato (digitando, gravando) só chega depois de assinada
+                    sock.presenceSubscribe(chatJid).catch(() => {});
+                    
+                    // Em grupos, cada participante tem a própria conversa (e thread)
+                    const from = isGroup ? groupConversationKey(chatJid, message.key.participant) : chatJid;
+                    const replyTo = isGroup
+                        ? {
+                            chatJid,
+                            quoted: message,
+                            senderName: message.pushName || message.key.participant.split('@')[0],
+                            subject: await getGroupSubject(session, chatJid)
+                        }
+                        : null;
+                    
+                    const messageType = Object.keys(message.message)[0];
+                    
                     logger.logConversation('Mensagem recebida', from, '', '', null, {
-                        message_type: Object.keys(message.message)[0],
+                        session: session.id,
+                        message_type: messageType,
                         timestamp: message.messageTimestamp
                     });
                     
+                    const incomingText = message.message.conversation || message.message.extendedTextMessage?.text || '';
+                    
+                    // Comandos da equipe de atendimento
+                    if (handoffManager.isStaff(from) && incomingText.startsWith('/')) {
+                        await handleStaffCommand(session, from, incomingText);
+                        return;
+                    }
+                    
+                    // Cada mensagem recebida é gravada como chegou, para o histórico e o inbox
+                    store.touchContact(from, message.pushName || null);
+                    if (incomingText) {
+                        store.addMessage({ jid: from, direction: 'in', content: incomingText, waMessageId: message.key.id });
+                    }
+                    
+                    webhookBus.emit('message.received', {
+                        session: session.id,
+                        from: from.replace('@s.whatsapp.net', ''),
+                        jid: from,
+                        group: isGroup ? chatJid : null,
+                        message_id: message.key.id,
+                        push_name: message.pushName || null,
+                        type: messageType,
+                        text: incomingText || null,
+                        handoff_active: handoffManager.isActive(from)
+                    });
+                    
+                    // Em atendimento humano o bot não responde: repassa a mensagem para a equipe
+                    if (handoffManager.isActive(from)) {
+                        if (!incomingText) {
+                            store.addMessage({
+                                jid: from,
+                                direction: 'in',
+                                content: `[${messageType}]`,
+                                mediaType: messageType,
+                                waMessageId: message.key.id
+                            });
+                        }
+                        
+                        for (const staffJid of handoffManager.staffJids) {
+                            await sock.sendMessage(staffJid, { text: `📩 Mensagem de ${from.replace('@s.whatsapp.net', '')} (atendimento humano):` });
+                            await sock.sendMessage(staffJid, { forward: message });
+                        }
+                        
+                        logger.logInfo('👤 MENSAGEM REPASSADA À EQUIPE', {
+                            from: from.replace('@s.whatsapp.net', ''),
+                            message_type: messageType
+                        });
+                        return;
+                    }
+                    
+                    // Pedido explícito de atendimento humano por palavra-chave
+                    const handoffKeyword = handoffManager.staffJids.length > 0 && incomingText && !isGroup
+                        ? handoffManager.detectKeyword(incomingText)
+                        : null;
+                    
+                    if (handoffKeyword) {
+                        const notice = await requestHandoff(session, from, { trigger: 'keyword', reason: `palavra-chave: ${handoffKeyword}` });
+                        await sock.sendMessage(from, { text: notice });
+                        store.addMessage({ jid: from, direction: 'out', content: notice });
+                        return;
+                    }
+                    
+                    // Cliente escolhe receber as respostas por áudio ou por texto
+                    const replyMode = !isGroup && REPLY_MODE_COMMANDS[incomingText.trim().toLowerCase()];
+                    if (replyMode) {
+                        const notice = replyMode !== 'text' && !ttsProvider
+                            ? '📝 No momento só consigo responder por escrito.'
+                            : REPLY_MODE_NOTICES[replyMode];
+                        
+                        store.setReplyMode(from, replyMode);
+                        await sock.sendMessage(from, { text: notice });
+                        store.addMessage({ jid: from, direction: 'out', content: notice });
+                        
+                        logger.logInfo('🎙️ PREFERÊNCIA DE RESPOSTA ALTERADA', {
+                            session: session.id,
+                            from: from.replace('@s.whatsapp.net', ''),
+                            reply_mode: replyMode
+                        });
+                        return;
+                    }
+                    
                     // Processar diferentes tipos de mensagem e adicionar à fila
                     if (message.message.conversation) {
                         // Mensagem de texto simples
-                        const messageText = message.message.conversation;
+                        const messageText = isGroup ? stripBotMentions(sock, message.message.conversation) : message.message.conversation;
                         logger.logMedia('📝 MENSAGEM DE TEXTO DETECTADA', from, 'text', {
                             content: messageText.substring(0, 100) + '...'
                         });
                         
                         await messageQueue.addMessage(from, {
+                            replyTo,
+                            message,
                             type: 'text',
                             content: messageText
                         });
                         
                     } else if (message.message.extendedTextMessage) {
                         // Mensagem de texto estendida
-                        const messageText = message.message.extendedTextMessage.text;
+                        const messageText = isGroup ? stripBotMentions(sock, message.message.extendedTextMessage.text) : message.message.extendedTextMessage.text;
                         logger.logMedia('📝 MENSAGEM DE TEXTO ESTENDIDA DETECTADA', from, 'text', {
                             content: messageText.substring(0, 100) + '...'
                         });
                         
                         await messageQueue.addMessage(from, {
+                            replyTo,
+                            message,
                             type: 'text',
                             content: messageText
                         });
@@ -989,6 +2343,24 @@ async function connectToWhatsApp() {
                             const caption = message.message.imageMessage.caption || '';
                             const imageAnalysis = await processImage(imagePath, caption);
                             
+                            store.addMessage({
+                                jid: from,
+                                direction: 'in',
+                                content: caption || '[imagem]',
+                                mediaType: 'image',
+                                waMessageId: message.key.id,
+                                metadata: { caption, analysis: imageAnalysis }
+                            });
+                            webhookBus.emit('media.analyzed', {
+                                session: session.id,
+                                from: from.replace('@s.whatsapp.net', ''),
+                                jid: from,
+                                message_id: message.key.id,
+                                media_type: 'image',
+                                caption,
+                                analysis: imageAnalysis
+                            });
+                            
                             // 🎯 CORREÇÃO PRINCIPAL: Cria prompt contextualizado para o assistente
                             const prompt = `Baseado na análise da imagem a seguir, forneça uma resposta útil e contextualizada para o usuário:
 
@@ -999,6 +2371,8 @@ Mensagem do usuário: ${caption || 'Usuário enviou uma imagem'}
 Forneça uma resposta natural e útil baseada no conteúdo da imagem.`;
 
                             await messageQueue.addMessage(from, {
+                                replyTo,
+                                message,
                                 type: 'image',
                                 content: prompt // Envia o prompt contextualizado, não a análise bruta
                             });
@@ -1008,11 +2382,20 @@ Forneça uma resposta natural e útil baseada no conteúdo da imagem.`;
                             });
                             
                         } catch (imageError) {
+                            store.addMessage({ jid: from, direction: 'in', content: '[imagem]', mediaType: 'image', waMessageId: message.key.id });
                             logger.logError('❌ ERRO NO PROCESSAMENTO DE IMAGEM', imageError, {
                                 from: from
                             });
                             
+                            // Limite da OpenAI mesmo depois das novas tentativas: pede para reenviar mais tarde
+                            if (isRetryableError(imageError)) {
+                                await sendAcknowledgement(session, from, replyTo, BUSY_FAILURE);
+                                return;
+                            }
+                            
                             await messageQueue.addMessage(from, {
+                                replyTo,
+                                message,
                                 type: 'image',
                                 content: "❌ Desculpe, não consegui processar esta imagem. Tente enviar novamente."
                             });
@@ -1045,42 +2428,522 @@ Forneça uma resposta natural e útil baseada no conteúdo da imagem.`;
                             
                             const transcription = await processAudio(audioPath);
                             
+                            store.addMessage({
+                                jid: from,
+                                direction: 'in',
+                                content: transcription,
+                                mediaType: 'audio',
+                                waMessageId: message.key.id,
+                                metadata: { transcription }
+                            });
+                            webhookBus.emit('media.transcribed', {
+                                session: session.id,
+                                from: from.replace('@s.whatsapp.net', ''),
+                                jid: from,
+                                message_id: message.key.id,
+                                transcription
+                            });
+                            
                             // Adiciona a transcrição como mensagem de texto para ser processada
                             await messageQueue.addMessage(from, {
+                                replyTo,
+                                message,
+                                fromAudio: true,
                                 type: 'text',
                                 content: `🎵 *Transcrição do áudio:* "${transcription}"`
                             });
                             
                         } catch (audioError) {
+                            store.addMessage({ jid: from, direction: 'in', content: '[áudio]', mediaType: 'audio', waMessageId: message.key.id });
                             logger.logError('❌ ERRO NO PROCESSAMENTO DE ÁUDIO', audioError, {
                                 from: from
                             });
-                            
-                            await messageQueue.addMessage(from, {
-                                type: 'audio',
-                                content: "❌ Desculpe, não consegui processar este áudio. Tente enviar novamente."
+                            
+                            // Limite da OpenAI mesmo depois das novas tentativas: pede para reenviar mais tarde
+                            if (isRetryableError(audioError)) {
+                                await sendAcknowledgement(session, from, replyTo, BUSY_FAILURE);
+                                return;
+                            }
+                            
+                            await messageQueue.addMessage(from, {
+                                replyTo,
+                                message,
+                                type: 'audio',
+                                content: "❌ Desculpe, não consegui processar este áudio. Tente enviar novamente."
+                            });
+                        }
+                    } else if (message.message.documentMessage || message.message.documentWithCaptionMessage) {
+                        // Documento (PDF, DOCX, XLSX...): o texto extraído vai para o assistente
+                        const document = message.message.documentMessage || message.message.documentWithCaptionMessage.message.documentMessage;
+                        const fileName = document.fileName || 'documento';
+                        const caption = document.caption || '';
+                        logger.logMedia('📄 DOCUMENTO DETECTADO', from, 'document', {
+                            file_name: fileName,
+                            mimetype: document.mimetype
+                        });
+                        
+                        try {
+                            const buffer = await downloadMediaMessage(message, 'buffer', {});
+                            
+                            if (!buffer || buffer.length === 0) {
+                                throw new Error('Buffer de documento vazio');
+                            }
+                            
+                            const extracted = await processDocument(buffer, { mimetype: document.mimetype, fileName });
+                            
+                            store.addMessage({
+                                jid: from,
+                                direction: 'in',
+                                content: caption || fileName,
+                                mediaType: 'document',
+                                waMessageId: message.key.id,
+                                metadata: {
+                                    file_name: fileName,
+                                    mimetype: document.mimetype,
+                                    kind: extracted.kind,
+                                    text_length: extracted.text.length,
+                                    truncated: extracted.truncated
+                                }
+                            });
+                            webhookBus.emit('media.extracted', {
+                                session: session.id,
+                                from: from.replace('@s.whatsapp.net', ''),
+                                jid: from,
+                                message_id: message.key.id,
+                                file_name: fileName,
+                                kind: extracted.kind,
+                                text: extracted.text,
+                                truncated: extracted.truncated
+                            });
+                            
+                            const prompt = `O usuário enviou o documento "${fileName}" (${extracted.kind.toUpperCase()}).
+
+Mensagem do usuário: ${caption || 'Usuário enviou um documento'}
+
+Conteúdo do documento${extracted.truncated ? ' (apenas o início, o arquivo é maior)' : ''}:
+${extracted.text || '(documento sem texto legível)'}
+
+Forneça uma resposta natural e útil baseada no conteúdo do documento.`;
+                            
+                            await messageQueue.addMessage(from, {
+                                replyTo,
+                                message,
+                                type: 'document',
+                                content: prompt
+                            });
+                            
+                        } catch (documentError) {
+                            store.addMessage({ jid: from, direction: 'in', content: fileName, mediaType: 'document', waMessageId: message.key.id, metadata: { file_name: fileName, mimetype: document.mimetype } });
+                            logger.logError('❌ ERRO NA LEITURA DE DOCUMENTO', documentError, {
+                                from: from,
+                                file_name: fileName
+                            });
+                            
+                            await messageQueue.addMessage(from, {
+                                replyTo,
+                                message,
+                                type: 'document',
+                                content: `O usuário enviou o arquivo "${fileName}", mas não foi possível ler o conteúdo. Peça gentilmente que envie em PDF, Word ou Excel, ou que escreva a dúvida em uma mensagem.`
+                            });
+                        }
+                        
+                    } else if (message.message.videoMessage) {
+                        // Vídeo: alguns quadros são analisados como imagens
+                        const video = message.message.videoMessage;
+                        const caption = video.caption || '';
+                        logger.logMedia('🎬 VÍDEO DETECTADO', from, 'video', {
+                            seconds: video.seconds
+                        });
+                        
+                        let videoAnalysis = null;
+                        let videoBusy = false;
+                        try {
+                            const buffer = await downloadMediaMessage(message, 'buffer', {});
+                            
+                            if (!buffer || buffer.length === 0) {
+                                throw new Error('Buffer de vídeo vazio');
+                            }
+                            
+                            const videoPath = path.join(MEDIA_DIR, `video_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.mp4`);
+                            fs.writeFileSync(videoPath, buffer);
+                            
+                            videoAnalysis = await processVideo(videoPath, caption, video.seconds);
+                        } catch (videoError) {
+                            videoBusy = isRetryableError(videoError);
+                            logger.logError('❌ ERRO NO DOWNLOAD DE VÍDEO', videoError, {
+                                from: from
+                            });
+                        }
+                        
+                        store.addMessage({
+                            jid: from,
+                            direction: 'in',
+                            content: caption || '[vídeo]',
+                            mediaType: 'video',
+                            waMessageId: message.key.id,
+                            metadata: { caption, seconds: video.seconds, analysis: videoAnalysis }
+                        });
+                        
+                        if (videoBusy) {
+                            await sendAcknowledgement(session, from, replyTo, BUSY_FAILURE);
+                            return;
+                        }
+                        
+                        if (videoAnalysis) {
+                            webhookBus.emit('media.analyzed', {
+                                session: session.id,
+                                from: from.replace('@s.whatsapp.net', ''),
+                                jid: from,
+                                message_id: message.key.id,
+                                media_type: 'video',
+                                caption,
+                                analysis: videoAnalysis
+                            });
+                        }
+                        
+                        const prompt = videoAnalysis
+                            ? `Baseado na análise do vídeo a seguir, forneça uma resposta útil e contextualizada para o usuário:
+
+Análise do vídeo: ${videoAnalysis}
+
+Mensagem do usuário: ${caption || 'Usuário enviou um vídeo'}
+
+Forneça uma resposta natural e útil baseada no conteúdo do vídeo.`
+                            : `O usuário enviou um vídeo${caption ? ` com a mensagem "${caption}"` : ''}, mas não foi possível analisá-lo. Peça gentilmente que descreva o que aparece no vídeo ou envie fotos.`;
+                        
+                        await messageQueue.addMessage(from, {
+                            replyTo,
+                            message,
+                            type: 'video',
+                            content: prompt
+                        });
+                        
+                    } else if (message.message.locationMessage || message.message.liveLocationMessage) {
+                        // Localização: endereço aproximado para dúvidas de frete, entrega e visita técnica
+                        const location = await processLocation(message.message.locationMessage || message.message.liveLocationMessage);
+                        const place = [location.city, location.state].filter(Boolean).join(' - ');
+                        logger.logMedia('📍 LOCALIZAÇÃO DETECTADA', from, 'location', {
+                            city: location.city,
+                            state: location.state
+                        });
+                        
+                        store.addMessage({
+                            jid: from,
+                            direction: 'in',
+                            content: location.address || `${location.latitude}, ${location.longitude}`,
+                            mediaType: 'location',
+                            waMessageId: message.key.id,
+                            metadata: location
+                        });
+                        
+                        const prompt = `O usuário compartilhou uma localização.
+
+${location.name ? `Local: ${location.name}\n` : ''}Endereço: ${location.address || 'não identificado'}
+${place ? `Cidade: ${place}\n` : ''}${location.postcode ? `CEP: ${location.postcode}\n` : ''}Coordenadas: ${location.latitude}, ${location.longitude}
+
+Use essa localização para dúvidas de frete, entrega ou visita técnica. Se o usuário ainda não disse o que precisa, pergunte como podemos ajudar.`;
+                        
+                        await messageQueue.addMessage(from, {
+                            replyTo,
+                            message,
+                            type: 'location',
+                            content: prompt
+                        });
+                        
+                    } else if (message.message.contactMessage || message.message.contactsArrayMessage) {
+                        // Contato(s) compartilhado(s) em vCard
+                        const cards = message.message.contactMessage
+                            ? [message.message.contactMessage]
+                            : message.message.contactsArrayMessage.contacts || [];
+                        const contacts = cards.map(card => parseVcard(card.vcard, card.displayName));
+                        logger.logMedia('👥 CONTATO COMPARTILHADO', from, 'contact', {
+                            contacts: contacts.length
+                        });
+                        
+                        const summary = contacts
+                            .map(contact => `${contact.name || 'Sem nome'}${contact.organization ? ` (${contact.organization})` : ''}: ${contact.phones.join(', ') || 'sem telefone'}`)
+                            .join('\n');
+                        
+                        store.addMessage({
+                            jid: from,
+                            direction: 'in',
+                            content: summary,
+                            mediaType: 'contact',
+                            waMessageId: message.key.id,
+                            metadata: { contacts }
+                        });
+                        
+                        await messageQueue.addMessage(from, {
+                            replyTo,
+                            message,
+                            type: 'contact',
+                            content: `O usuário compartilhou ${contacts.length === 1 ? 'um contato' : `${contacts.length} contatos`}:\n${summary}\n\nAgradeça e pergunte como podemos ajudar com esse contato, caso o usuário ainda não tenha explicado.`
+                        });
+                        
+                    } else if (message.message.stickerMessage) {
+                        store.addMessage({ jid: from, direction: 'in', content: '[figurinha]', mediaType: 'sticker', waMessageId: message.key.id });
+                        await sendAcknowledgement(session, from, replyTo, STICKER_ACK);
+                        
+                    } else if (message.message.reactionMessage) {
+                        // Reação vazia é a remoção de uma reação anterior
+                        const reaction = message.message.reactionMessage;
+                        if (reaction.text) {
+                            store.addMessage({
+                                jid: from,
+                                direction: 'in',
+                                content: reaction.text,
+                                mediaType: 'reaction',
+                                waMessageId: message.key.id,
+                                metadata: { reacted_to: reaction.key?.id || null }
                             });
+                            await sendAcknowledgement(session, from, replyTo, REACTION_ACK);
                         }
                     }
                 }
                 
             } catch (error) {
+                failed = true;
                 logger.logError('❌ ERRO GERAL NO EVENT LISTENER', error);
+            } finally {
+                // Com erro, a mensagem fica pendente e é retomada na próxima inicialização
+                if (seen && !failed) {
+                    try {
+                        store.markMessageHandled(message.key.id);
+                    } catch (storeError) {
+                        logger.logError('Erro ao concluir mensagem recebida', storeError, { message_id: message.key.id });
+                    }
+                }
+            }
+        };
+        
+        // Mensagens gravadas que não chegaram à fila antes do último encerramento
+        const recoverInboundMessages = async () => {
+            const pending = store.listUnhandledMessages();
+            if (pending.length === 0) return;
+            
+            logger.logInfo('♻️ MENSAGENS RECEBIDAS RETOMADAS', { session: session.id, count: pending.length });
+            for (const row of pending) {
+                await handleIncomingMessage(JSON.parse(row.message, BufferJSON.reviver), { recovered: true });
+            }
+        };
+        
+        sock.ev.on('messages.upsert', async (m) => {
+            // Só "notify" são mensagens novas; "append" traz histórico ressincronizado e cópias de outros aparelhos
+            if (m.type !== 'notify') return;
+            
+            for (const message of m.messages) {
+                await handleIncomingMessage(message);
             }
         });
 
     } catch (error) {
-        logger.logError('Erro ao conectar ao WhatsApp', error);
-        setTimeout(connectToWhatsApp, 5000);
+        logger.logError('Erro ao conectar ao WhatsApp', error, { session: session.id });
+        setTimeout(() => connectToWhatsApp(session), 5000);
     }
 }
 
 // Configuração Express
 const app = express();
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.urlencoded({ extended: false }));
+app.set('trust proxy', process.env.TRUST_PROXY === 'true'); // Railway e outros proxies reversos
+
+// 🔐 AUTENTICAÇÃO DA ÁREA ADMINISTRATIVA
+const adminAuth = new AdminAuth({
+    users: AdminAuth.loadUsers(ADMIN_USERS_FILE),
+    sessionTtlHours: parseInt(process.env.ADMIN_SESSION_HOURS || 12),
+    secureCookies: process.env.ADMIN_COOKIE_SECURE === 'true'
+});
+const requireAuth = adminAuth.requireAuth();
+
+if (!adminAuth.isConfigured()) {
+    logger.logInfo('⚠️ NENHUM USUÁRIO ADMINISTRATIVO CONFIGURADO', { path: ADMIN_USERS_FILE });
+}
+
+// No Railway, sem TRUST_PROXY todos os acessos chegam com o IP do proxy
+if (process.env.RAILWAY_ENVIRONMENT && process.env.TRUST_PROXY !== 'true') {
+    logger.logInfo('⚠️ TRUST_PROXY DESATIVADO ATRÁS DE PROXY', { hint: 'defina TRUST_PROXY=true para registrar o IP real dos acessos' });
+}
+
+// Aceita apenas caminhos internos no redirecionamento pós-login
+function safeNextPath(next) {
+    return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+// O campo oculto do formulário leva o caminho com encodeURI; valores adulterados voltam para a página inicial
+function decodeNextPath(next) {
+    try {
+        return decodeURI(next);
+    } catch (error) {
+        return '/';
+    }
+}
+
+function renderLoginPage(next, error = '') {
+    return `
+    <!DOCTYPE html>
+    <html lang="pt-BR">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>A.IDUGEL - Acesso Administrativo</title>
+        <style>
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background: linear-gradient(135deg, #f5f7fa 0%, #c3cfe2 100%);
+                min-height: 100vh;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                margin: 0;
+            }
+            
+            .box {
+                background: white;
+                border-radius: 20px;
+                box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+                width: 340px;
+                overflow: hidden;
+            }
+            
+            .header {
+                background: linear-gradient(135deg, #dc2626 0%, #b91c1c 100%);
+                color: white;
+                padding: 25px;
+                text-align: center;
+            }
+            
+            form {
+                padding: 25px;
+                display: flex;
+                flex-direction: column;
+                gap: 12px;
+            }
+            
+            input {
+                padding: 12px;
+                border: 1px solid #ddd;
+                border-radius: 10px;
+                font-size: 1em;
+            }
+            
+            button {
+                padding: 12px;
+                border: none;
+                border-radius: 10px;
+                background: #dc2626;
+                color: white;
+                font-size: 1em;
+                cursor: pointer;
+            }
+            
+            .error {
+                color: #dc2626;
+                font-size: 0.9em;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="box">
+            <div class="header">
+                <h2>A.IDUGEL</h2>
+                <div>Acesso administrativo</div>
+            </div>
+            <form method="POST" action="/login">
+                <input type="hidden" name="next" value="${encodeURI(next)}" />
+                <input type="text" name="username" placeholder="Usuário" autocomplete="username" required />
+                <input type="password" name="password" placeholder="Senha" autocomplete="current-password" required />
+                ${error ? `<div class="error">${error}</div>` : ''}
+                <button type="submit">Entrar</button>
+            </form>
+        </div>
+    </body>
+    </html>
+    `;
+}
+
+app.get('/login', (req, res) => {
+    if (adminAuth.getSession(req)) {
+        return res.redirect(safeNextPath(req.query.next));
+    }
+    res.send(renderLoginPage(safeNextPath(req.query.next)));
+});
+
+app.post('/login', (req, res) => {
+    const next = safeNextPath(decodeNextPath(req.body.next || '/'));
+    const token = adminAuth.login(req.body.username, req.body.password, req.ip);
+    
+    if (!token) {
+        logger.logInfo('🔐 LOGIN RECUSADO', { username: req.body.username, ip: req.ip });
+        const message = adminAuth.isLocked(req.body.username, req.ip)
+            ? 'Muitas tentativas. Tente novamente em alguns minutos.'
+            : 'Usuário ou senha inválidos.';
+        return res.status(401).send(renderLoginPage(next, message));
+    }
+    
+    logger.logSuccess('🔐 LOGIN ADMINISTRATIVO', { username: req.body.username, ip: req.ip });
+    adminAuth.setCookie(res, token);
+    res.redirect(next);
+});
+
+app.post('/logout', (req, res) => {
+    adminAuth.logout(req);
+    adminAuth.clearCookie(res);
+    res.redirect('/login');
+});
+
+// Página pública de saúde (sem QR Code, estatísticas ou dados de clientes)
+app.get('/health', (req, res) => {
+    const connected = [...sessions.values()].filter(session => session.isConnected).length;
+    const isConnected = connected === sessions.size;
+    const health = {
+        status: 'ok',
+        whatsapp: isConnected ? 'connected' : connected > 0 ? 'partial' : 'disconnected',
+        sessions: Object.fromEntries([...sessions.values()].map(session => [session.id, session.isConnected ? 'connected' : 'disconnected'])),
+        uptime_seconds: Math.floor((Date.now() - global.stats.uptime) / 1000),
+        timestamp: new Date().toISOString()
+    };
+    
+    if (req.accepts(['json', 'html']) === 'html') {
+        return res.send(`<!DOCTYPE html><html lang="pt-BR"><head><meta charset="UTF-8"><title>A.IDUGEL - Status</title></head>
+            <body style="font-family: sans-serif; text-align: center; padding: 40px;">
+                <h2>A.IDUGEL</h2>
+                <p>${isConnected ? '✅ Sistema online' : '🔄 Conectando ao WhatsApp...'}</p>
+            </body></html>`);
+    }
+    res.json(health);
+});
+
+// Área administrativa: tudo abaixo exige login
+app.use(['/stats', '/logs', '/admin', '/sessions'], requireAuth);
+
+// Sessões configuradas e seus status
+app.get('/sessions', (req, res) => {
+    res.json({
+        sessions: [...sessions.values()].map(session => ({
+            id: session.id,
+            name: session.name,
+            is_connected: session.isConnected,
+            llm_provider: session.llmProvider.name,
+            ...session.stats
+        }))
+    });
+});
 
-// Página principal
-app.get('/', (req, res) => {
+// Página principal: status, estatísticas e QR Code de uma sessão (a primeira, em /)
+app.get(['/', '/sessions/:id'], requireAuth, (req, res) => {
+    const session = getSession(req.params.id);
+    if (!session) {
+        return res.status(404).send('Sessão não encontrada');
+    }
+    
+    const sessionLinks = sessions.size > 1
+        ? `<div class="links">${[...sessions.values()].map(item =>
+            `<a href="/sessions/${item.id}"${item === session ? ' style="text-decoration: underline;"' : ''}>${item.isConnected ? '🟢' : '🔴'} ${item.name}</a>`
+        ).join('')}</div>`
+        : '';
+    const sessionQuery = `?session=${encodeURIComponent(session.id)}`;
+    
     const uptime = Math.floor((Date.now() - global.stats.uptime) / 1000);
     const hours = Math.floor(uptime / 3600);
     const minutes = Math.floor((uptime % 3600) / 60);
@@ -1335,21 +3198,23 @@ app.get('/', (req, res) => {
             </div>
             
             <div class="content">
+                ${sessionLinks}
+                
                 <div class="status">
-                    ${isConnected ? '✅ Sistema Online e Funcionando' : '🔄 Conectando ao WhatsApp...'}
+                    ${sessions.size > 1 ? `${session.name}: ` : ''}${session.isConnected ? '✅ Sistema Online e Funcionando' : '🔄 Conectando ao WhatsApp...'}
                 </div>
                 
                 <div class="stats">
                     <div class="stat-card">
-                        <div class="stat-number">${global.stats.messages}</div>
+                        <div class="stat-number">${session.stats.messages}</div>
                         <div class="stat-label">Mensagens</div>
                     </div>
                     <div class="stat-card">
-                        <div class="stat-number">${global.stats.images}</div>
+                        <div class="stat-number">${session.stats.images}</div>
                         <div class="stat-label">Imagens</div>
                     </div>
                     <div class="stat-card">
-                        <div class="stat-number">${global.stats.audios}</div>
+                        <div class="stat-number">${session.stats.audios}</div>
                         <div class="stat-label">Áudios</div>
                     </div>
                     <div class="stat-card">
@@ -1359,7 +3224,7 @@ app.get('/', (req, res) => {
                 </div>
                 
                 <div class="qr-container">
-                    ${qrCodeData || '<p>Aguardando QR Code...</p>'}
+                    ${session.qrCodeData || '<p>Aguardando QR Code...</p>'}
                 </div>
                 
                 <div class="instructions">
@@ -1395,7 +3260,15 @@ app.get('/', (req, res) => {
                 <div class="links">
                     <a href="/stats">📊 Estatísticas</a>
                     <a href="/logs">📋 Logs</a>
+                    <a href="/admin/inbox${sessionQuery}">💬 Inbox</a>
+                    <a href="/admin/leads${sessionQuery}">🎯 Leads</a>
+                    <a href="/admin/content">📚 Conteúdo</a>
                 </div>
+                
+                <form method="POST" action="/logout" style="text-align: center; margin-bottom: 20px;">
+                    <small style="color: #666;">Conectado como ${req.adminUser}</small>
+                    <button type="submit" style="margin-left: 10px; border: none; background: none; color: #dc2626; cursor: pointer;">Sair</button>
+                </form>
             </div>
             
             <div class="footer">
@@ -1424,21 +3297,55 @@ app.get('/stats', (req, res) => {
     
     const logSize = fs.existsSync(LOG_FILE) ? fs.statSync(LOG_FILE).size : 0;
     
+    const sessionStats = [...sessions.values()].map(session => ({
+        id: session.id,
+        name: session.name,
+        ...session.stats,
+        is_connected: session.isConnected,
+        llm_provider: session.llmProvider.name,
+        threads_active: session.store.countThreads(),
+        contacts_total: session.store.countContacts(),
+        storage: session.store.name,
+        handoffs_active: session.handoffManager.listActive().length,
+        leads_qualified: session.store.listLeads({ qualifiedOnly: true }).length,
+        first_interactions_tracked: session.threadManager.firstInteractions.size,
+        queue_status: {
+            active_queues: session.messageQueue.queues.size,
+            processing_users: session.messageQueue.processing.size,
+            in_flight_runs: session.messageQueue.inFlight.size,
+            outbound_pending: session.outboundQueue.size()
+        }
+    }));
+    const sum = key => sessionStats.reduce((total, session) => total + session[key], 0);
+    
     res.json({
         ...global.stats,
-        threads_active: Object.keys(threadManager.threads).length,
-        first_interactions_tracked: threadManager.firstInteractions.size,
+        threads_active: sum('threads_active'),
+        contacts_total: sum('contacts_total'),
+        handoffs_active: sum('handoffs_active'),
+        leads_qualified: sum('leads_qualified'),
         uptime_readable: `${uptimeHours}h ${uptimeMinutes}m`,
         log_file_size: `${(logSize / 1024).toFixed(2)} KB`,
         timestamp: new Date().toISOString(),
-        is_connected: isConnected,
-        queue_status: {
-            active_queues: messageQueue.queues.size,
-            processing_users: messageQueue.processing.size
-        }
+        is_connected: sessionStats.every(session => session.is_connected),
+        knowledge_base_items: contentManager.content.text.length,
+        knowledge_base_chunks: contentManager.content.chunks.length,
+        llm_pool: llmPool.status(),
+        aux_pool: auxPool.status(),
+        business_hours: businessHours ? businessHours.status() : null,
+        sessions: sessionStats
     });
 });
 
+// Sessão informada em ?session= (ou no corpo, na API de envio); responde 404 se não existir
+function requireSession(req, res) {
+    const session = getSession(req.query.session || (req.body && req.body.session));
+    if (!session) {
+        res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+    return session;
+}
+
 // Rota de logs
 app.get('/logs', (req, res) => {
     if (fs.existsSync(LOG_FILE)) {
@@ -1448,10 +3355,332 @@ app.get('/logs', (req, res) => {
     }
 });
 
+// Administração da base de conhecimento: conteúdo carregado por arquivo
+app.get('/admin/content', (req, res) => {
+    res.json(contentManager.getStatus());
+});
+
+// Recarrega todo o diretório de conteúdo
+app.post('/admin/content/reload', async (req, res) => {
+    if (!contentManager.contentPath) {
+        return res.status(400).json({ error: 'CUSTOM_CONTENT_PATH não configurado' });
+    }
+    
+    try {
+        await contentManager.loadContent(contentManager.contentPath);
+        res.json(contentManager.getStatus());
+    } catch (error) {
+        logger.logError('Erro ao recarregar base de conhecimento', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Exportação de leads (qualificados por padrão; ?all=true inclui todos)
+app.get('/admin/leads', (req, res) => {
+    const session = requireSession(req, res);
+    if (!session) return;
+    
+    const { leadManager } = session;
+    const leads = session.store.listLeads({ qualifiedOnly: req.query.all !== 'true' });
+    
+    if (req.query.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="idugel-leads-${session.id}.csv"`);
+        return res.send('\uFEFF' + leadManager.toCsv(leads));
+    }
+    
+    res.json({
+        total: leads.length,
+        leads: leads.map(lead => leadManager.toPublic(lead))
+    });
+});
+
+// Inbox de conversas (página única que consulta as rotas JSON abaixo)
+app.get('/admin/inbox', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'inbox.html'));
+});
+
+// Lista de conversas com última mensagem e não lidas (?search= filtra por número, nome ou texto)
+app.get('/admin/api/conversations', (req, res) => {
+    const session = requireSession(req, res);
+    if (!session) return;
+    
+    const conversations = session.store.listConversations({
+        search: String(req.query.search || ''),
+        limit: Math.min(parseInt(req.query.limit) || 50, 200),
+        offset: parseInt(req.query.offset) || 0
+    });
+    
+    res.json({
+        conversations: conversations.map(conversation => ({
+            ...conversation,
+            phone: conversation.jid.replace('@s.whatsapp.net', ''),
+            handoff_active: session.handoffManager.peekActive(conversation.jid)
+        }))
+    });
+});
+
+// Histórico de uma conversa (só leitura: o inbox consulta de novo a cada atualização)
+app.get('/admin/api/conversations/:jid/messages', (req, res) => {
+    const session = requireSession(req, res);
+    if (!session) return;
+    
+    const { store } = session;
+    const jid = req.params.jid;
+    const contact = store.getContact(jid);
+    if (!contact) {
+        return res.status(404).json({ error: 'Conversa não encontrada' });
+    }
+    
+    const messages = store.getMessages(jid, { limit: Math.min(parseInt(req.query.limit) || 200, 1000) });
+    
+    res.json({
+        contact: {
+            ...contact,
+            phone: jid.replace('@s.whatsapp.net', ''),
+            handoff_active: session.handoffManager.peekActive(jid)
+        },
+        messages
+    });
+});
+
+// Abrir a conversa no inbox marca as mensagens como lidas
+app.post('/admin/api/conversations/:jid/read', (req, res) => {
+    const session = requireSession(req, res);
+    if (!session) return;
+    
+    if (!session.store.getContact(req.params.jid)) {
+        return res.status(404).json({ error: 'Conversa não encontrada' });
+    }
+    
+    session.store.markRead(req.params.jid);
+    res.json({ success: true });
+});
+
+// 📤 API DE ENVIO (ERP, CRM): autenticada por token, não pelo login da área administrativa
+app.use('/api', express.json({ limit: '20mb' }), requireApiToken(parseApiTokens(process.env.API_TOKENS)));
+
+// Valida o destinatário: apenas números com DDI (ex.: 5549999645451)
+function parseRecipient(to) {
+    const digits = String(to || '').replace(/\D/g, '');
+    return digits.length >= 10 && digits.length <= 15 ? `${digits}@s.whatsapp.net` : null;
+}
+
+// Mídia por URL pública ou em base64
+function parseMedia(body) {
+    if (body.url) return { url: body.url };
+    if (body.base64) return Buffer.from(body.base64, 'base64');
+    return null;
+}
+
+// Monta o conteúdo do sock.sendMessage para cada tipo de envio
+function buildOutbound(type, body) {
+    switch (type) {
+        case 'text':
+            if (!body.text) throw new Error('Informe o campo text');
+            return { content: { text: body.text }, summary: body.text };
+        case 'image': {
+            const image = parseMedia(body);
+            if (!image) throw new Error('Informe url ou base64 da imagem');
+            return { content: { image, caption: body.caption || undefined }, summary: body.caption || '[imagem]' };
+        }
+        case 'document': {
+            const document = parseMedia(body);
+            if (!document) throw new Error('Informe url ou base64 do documento');
+            const fileName = body.filename || 'documento.pdf';
+            return {
+                content: {
+                    document,
+                    fileName,
+                    mimetype: body.mimetype || 'application/pdf',
+                    caption: body.caption || undefined
+                },
+                summary: `📄 ${fileName}${body.caption ? ` - ${body.caption}` : ''}`
+            };
+        }
+        case 'template': {
+            const text = messageTemplates.render(body.template, body.variables || {});
+            return { content: { text }, summary: text };
+        }
+        default:
+            throw new Error(`Tipo de envio desconhecido: ${type}`);
+    }
+}
+
+// Envio de texto, imagem, documento ou modelo: responde 202 com o ID para consultar o status
+app.post('/api/messages/:type', (req, res) => {
+    const session = requireSession(req, res);
+    if (!session) return;
+    
+    const jid = parseRecipient(req.body.to);
+    if (!jid) {
+        return res.status(400).json({ error: 'Destinatário inválido: informe o número com DDI no campo to' });
+    }
+    
+    let outbound;
+    try {
+        outbound = buildOutbound(req.params.type, req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    const record = session.outboundQueue.enqueue({
+        jid,
+        type: req.params.type,
+        content: outbound.content,
+        summary: outbound.summary,
+        requestedBy: req.apiClient
+    });
+    
+    res.status(202).json({ ...record, session: session.id });
+});
+
+// Status de um envio (queued, sending, sent, delivered, read ou failed)
+app.get('/api/messages/:id', (req, res) => {
+    // O ID é único entre as sessões: procura em todas
+    for (const session of sessions.values()) {
+        const record = session.store.getOutbound(req.params.id);
+        if (record) {
+            return res.json({ ...record, session: session.id });
+        }
+    }
+    res.status(404).json({ error: 'Envio não encontrado' });
+});
+
+// Modelos disponíveis e suas variáveis
+app.get('/api/templates', (req, res) => {
+    res.json({ templates: messageTemplates.list() });
+});
+
+// Carrega os modelos de mensagem da API de envio, se existirem
+function loadMessageTemplates() {
+    if (!fs.existsSync(TEMPLATES_FILE)) {
+        logger.logInfo('Modelos de mensagem não encontrados', { path: TEMPLATES_FILE });
+        return;
+    }
+    
+    try {
+        messageTemplates.load(TEMPLATES_FILE);
+        logger.logSuccess('📤 MODELOS DE MENSAGEM CARREGADOS', {
+            path: TEMPLATES_FILE,
+            templates: messageTemplates.list().map(template => template.id)
+        });
+    } catch (error) {
+        logger.logError('Erro ao carregar modelos de mensagem', error, { path: TEMPLATES_FILE });
+    }
+}
+
+// Carrega a biblioteca de materiais (catálogos, fotos e vídeos), se existir
+function loadMediaLibrary() {
+    if (!fs.existsSync(path.join(MEDIA_LIBRARY_DIR, 'manifest.json'))) {
+        logger.logInfo('Biblioteca de materiais não encontrada', { path: MEDIA_LIBRARY_DIR });
+        return;
+    }
+    
+    try {
+        const { loaded, missing } = mediaLibrary.load(MEDIA_LIBRARY_DIR);
+        logger.logSuccess('📚 BIBLIOTECA DE MATERIAIS CARREGADA', {
+            path: MEDIA_LIBRARY_DIR,
+            items: loaded,
+            missing_files: missing
+        });
+    } catch (error) {
+        logger.logError('Erro ao carregar biblioteca de materiais', error, { path: MEDIA_LIBRARY_DIR });
+    }
+}
+
+// Carrega o horário de atendimento, se existir
+function loadBusinessHours() {
+    if (!fs.existsSync(BUSINESS_HOURS_FILE)) {
+        logger.logInfo('Horário de atendimento não encontrado, atendimento sempre aberto', { path: BUSINESS_HOURS_FILE });
+        return;
+    }
+    
+    try {
+        businessHours = BusinessHours.load(BUSINESS_HOURS_FILE);
+        departmentRouter.useBusinessHours(businessHours);
+        const schedule = businessHours.status();
+        logger.logSuccess('🕗 HORÁRIO DE ATENDIMENTO CARREGADO', {
+            path: BUSINESS_HOURS_FILE,
+            timezone: businessHours.timezone,
+            open: schedule.open,
+            next_open: schedule.nextOpen ? schedule.nextOpen.toISOString() : null
+        });
+    } catch (error) {
+        logger.logError('Erro ao carregar horário de atendimento', error, { path: BUSINESS_HOURS_FILE });
+    }
+}
+
+// Carrega a tabela de departamentos, se existir
+function loadDepartments() {
+    if (!fs.existsSync(DEPARTMENTS_FILE)) {
+        logger.logInfo('Tabela de departamentos não encontrada', { path: DEPARTMENTS_FILE });
+        return;
+    }
+    
+    try {
+        departmentRouter.load(DEPARTMENTS_FILE);
+        logger.logSuccess('🏢 DEPARTAMENTOS CARREGADOS', {
+            path: DEPARTMENTS_FILE,
+            departments: departmentRouter.departments.map(department => department.id)
+        });
+    } catch (error) {
+        logger.logError('Erro ao carregar departamentos', error, { path: DEPARTMENTS_FILE });
+    }
+}
+
+// Carrega a base de conhecimento local, se configurada
+async function loadKnowledgeBase() {
+    const contentPath = process.env.CUSTOM_CONTENT_PATH;
+    if (!contentPath) {
+        return;
+    }
+    
+    // Pontuação por embeddings é opcional e soma-se ao BM25
+    if (process.env.CONTENT_EMBEDDINGS_MODEL) {
+        contentManager.useScorer(
+            new EmbeddingScorer(openai, process.env.CONTENT_EMBEDDINGS_MODEL, {
+                minSimilarity: parseFloat(process.env.CONTENT_EMBEDDINGS_MIN_SIMILARITY || 0.35),
+                call: callOpenAI
+            }),
+            parseFloat(process.env.CONTENT_EMBEDDINGS_WEIGHT || 1)
+        );
+    }
+    
+    try {
+        await contentManager.loadContent(path.resolve(contentPath));
+        logger.logSuccess('📚 BASE DE CONHECIMENTO CARREGADA', {
+            path: contentPath,
+            items: contentManager.content.text.length,
+            chunks: contentManager.content.chunks.length
+        });
+        
+        // Arquivos adicionados, alterados ou removidos são reindexados sem reiniciar o bot
+        if (process.env.CONTENT_WATCH !== 'false') {
+            contentManager.watch();
+        }
+    } catch (error) {
+        logger.logError('Erro ao carregar base de conhecimento', error, { path: contentPath });
+    }
+}
+
 // Inicialização
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+app.listen(PORT, async () => {
     console.log(`🌐 Servidor HTTP na porta ${PORT}`);
-    connectToWhatsApp();
+    loadDepartments();
+    loadBusinessHours();
+    loadMessageTemplates();
+    loadMediaLibrary();
+    await loadKnowledgeBase();
+    for (const session of sessions.values()) {
+        connectToWhatsApp(session);
+    }
+    
+    // Devolve ao bot os atendimentos humanos sem atividade
+    setInterval(releaseExpiredHandoffs, 60 * 1000);
+    
+    // Entrega na abertura os pedidos e leads recebidos fora do horário
+    setInterval(deliverDeferredNotifications, 60 * 1000);
 });
 
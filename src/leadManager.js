@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { normalizeText } = require('./retrieval');
+const { backoffDelay } = require('./retry');
+
+const GRAIN_TYPES = ['milho', 'trigo', 'arroz', 'soja', 'café'];
+
+const EQUIPMENT_LINES = [
+  'Chromium (moinhos)',
+  'Titanium (degerminadoras)',
+  'Platinum (pesagem e automação)',
+  'Silos',
+  'Roscas transportadoras',
+  'Elevadores de canecas',
+  'Canalizações',
+  'Filtros de manga',
+  'Planta completa'
+];
+
+const CSV_COLUMNS = ['phone', 'company', 'city', 'state', 'grain_types', 'capacity', 'equipment_lines', 'qualified', 'qualified_at', 'updated_at'];
+/**
+ * Captura e qualificação de leads comerciais
+ *
+ * Após cada resposta do assistente, um modelo extrai da conversa os dados
+ * do cliente, que são acumulados por contato. Um lead é qualificado quando
+ * tem empresa, tipo de grão e capacidade ou linha de equipamento.
+ */
+class LeadManager {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.store - Armazenamento de conversas
+   * @param {Object} deps.openai - Cliente da API da OpenAI
+   * @param {string} [deps.model='gpt-4o-mini'] - Modelo usado na extração
+   * @param {string} [deps.webhookUrl] - URL que recebe os leads qualificados
+   * @param {string} [deps.webhookSecret] - Segredo da assinatura HMAC do webhook
+   * @param {number} [deps.webhookTimeoutMs=10000] - Tempo máximo de cada requisição ao webhook
+   * @param {number} [deps.webhookMaxAttempts=3] - Tentativas por envio ao webhook
+   * @param {Function} [deps.call] - (operation, fn) => Promise; executa a chamada à OpenAI (limite de vagas e novas tentativas)
+   */
+  constructor({ store, openai, model = 'gpt-4o-mini', webhookUrl = null, webhookSecret = '', webhookTimeoutMs = 10000, webhookMaxAttempts = 3, call = (operation, fn) => fn() }) {
+    this.store = store;
+    this.openai = openai;
+    this.call = call;
+    this.model = model;
+    this.webhookUrl = webhookUrl;
+    this.webhookSecret = webhookSecret || '';
+    this.webhookTimeoutMs = webhookTimeoutMs;
+    this.webhookMaxAttempts = webhookMaxAttempts;
+  }
+  /**
+   * Extrai os dados de lead de uma troca de mensagens
+   * @param {Object} currentLead - Lead já conhecido do contato
+   * @param {string} userMessage - Mensagem do cliente
+   * @param {string} reply - Resposta do assistente
+   * @returns {Promise<Object>} - Campos encontrados (null quando ausentes)
+   */
+  async extract(currentLead, userMessage, reply) {
+    const completion = await this.call('leads', () => this.openai.chat.completions.create({
+      model: this.model,
+      temperature: 0,
+      response_format: { type: 'json_object' },
+      messages: [
+        {
+          role: 'system',
+          content: `Você extrai dados comerciais de conversas de clientes da Idugel (equipamentos para processamento de grãos).
+Responda apenas com JSON no formato:
+{"company": string|null, "city": string|null, "state": string|null, "grain_types": string[], "capacity": string|null, "equipment_lines": string[]}
+
+- company: nome da empresa do cliente
+- city/state: cidade e UF (sigla) do cliente ou da planta
+- grain_types: apenas valores de ${JSON.stringify(GRAIN_TYPES)}
+- capacity: capacidade necessária com unidade, como o cliente informou (ex.: "10 t/h")
+- equipment_lines: apenas valores de ${JSON.stringify(EQUIPMENT_LINES)}
+
+Use somente o que o CLIENTE informou; não invente. Campos sem informação ficam null ou [].`
+        },
+        {
+          role: 'user',
+          content: `Dados já conhecidos: ${JSON.stringify(this.toPublic(currentLead))}
+
+Mensagem do cliente: ${userMessage}
+
+Resposta do assistente: ${reply}`
+        }
+      ]
+    }));
+
+    return JSON.parse(completion.choices[0].message.content || '{}');
+  }
+  /**
+   * Atualiza o lead do contato com a troca de mensagens mais recente
+   * @param {string} jid - JID do WhatsApp
+   * @param {string} userMessage - Mensagem do cliente
+   * @param {string} reply - Resposta do assistente
+   * @returns {Promise<{lead: Object, changed: boolean, newlyQualified: boolean}>}
+   */
+  async process(jid, userMessage, reply) {
+    const current = this.store.getLead(jid) || {
+      jid,
+      company: null,
+      city: null,
+      state: null,
+      grainTypes: [],
+      capacity: null,
+      equipmentLines: [],
+      qualified: false,
+      qualifiedAt: null
+    };
+
+    const extracted = await this.extract(current, userMessage, reply);
+    const lead = this.merge(current, extracted);
+    const changed = JSON.stringify(this.toPublic(lead)) !== JSON.stringify(this.toPublic(current));
+    const newlyQualified = !current.qualified && this.isQualified(lead);
+
+    if (newlyQualified) {
+      lead.qualified = true;
+      lead.qualifiedAt = new Date().toISOString();
+    }
+
+    if (changed || newlyQualified) {
+      this.store.saveLead(lead);
+    }
+
+    return { lead: this.store.getLead(jid) || lead, changed, newlyQualified };
+  }
+  /**
+   * Combina o lead atual com os campos extraídos, sem apagar o que já se sabe
+   * @param {Object} current - Lead atual
+   * @param {Object} extracted - Campos extraídos
+   * @returns {Object} - Novo lead
+   */
+  merge(current, extracted) {
+    const pick = (value, fallback) => (typeof value === 'string' && value.trim() ? value.trim() : fallback);
+    const allowed = (values, options) => (Array.isArray(values) ? values : [])
+      .map(value => options.find(option => normalizeText(option) === normalizeText(value)))
+      .filter(Boolean);
+    const union = (a, b) => [...new Set([...a, ...b])];
+
+    return {
+      ...current,
+      company: pick(extracted.company, current.company),
+      city: pick(extracted.city, current.city),
+      state: pick(extracted.state, current.state),
+      grainTypes: union(current.grainTypes, allowed(extracted.grain_types, GRAIN_TYPES)),
+      capacity: pick(extracted.capacity, current.capacity),
+      equipmentLines: union(current.equipmentLines, allowed(extracted.equipment_lines, EQUIPMENT_LINES))
+    };
+  }
+  /**
+   * Indica se o lead tem dados suficientes para o time comercial
+   * @param {Object} lead
+   * @returns {boolean}
+   */
+  isQualified(lead) {
+    return Boolean(lead.company)
+      && lead.grainTypes.length > 0
+      && (Boolean(lead.capacity) || lead.equipmentLines.length > 0);
+  }
+  /**
+   * Formato exposto na exportação e no webhook
+   * @param {Object} lead
+   * @returns {Object}
+   */
+  toPublic(lead) {
+    return {
+      phone: lead.jid.replace('@s.whatsapp.net', ''),
+      company: lead.company,
+      city: lead.city,
+      state: lead.state,
+      grain_types: lead.grainTypes,
+      capacity: lead.capacity,
+      equipment_lines: lead.equipmentLines,
+      qualified: Boolean(lead.qualified),
+      qualified_at: lead.qualifiedAt || null,
+      updated_at: lead.updatedAt || null
+    };
+  }
+  /**
+   * Exporta leads em CSV (separador ";" e listas separadas por "|", para abrir no Excel)
+   * @param {Array<Object>} leads
+   * @returns {string}
+   */
+  toCsv(leads) {
+    const escape = value => {
+      const text = Array.isArray(value) ? value.join('|') : value === null || value === undefined ? '' : String(value);
+      return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = leads.map(lead => {
+      const data = this.toPublic(lead);
+      return CSV_COLUMNS.map(column => escape(data[column])).join(';');
+    });
+
+    return [CSV_COLUMNS.join(';'), ...rows].join('\n');
+  }
+  /**
+   * Envia o lead ao webhook configurado
+   *
+   * A requisição segue o formato do barramento de webhooks (cabeçalhos
+   * X-Idugel-* e assinatura HMAC-SHA256 de "<timestamp>.<corpo>" quando há
+   * segredo). Queda de conexão, tempo esgotado, 408, 429 e 5xx são repetidos
+   * com espera exponencial; os demais erros falham na hora.
+   * @param {Object} lead
+   * @param {string} [event='lead.qualified'] - lead.qualified ou lead.updated
+   * @returns {Promise<boolean>} - Se havia webhook configurado
+   * @throws {Error} - Quando as tentativas se esgotam
+   */
+  async pushWebhook(lead, event = 'lead.qualified') {
+    if (!this.webhookUrl) return false;
+
+    const body = JSON.stringify({ event, lead: this.toPublic(lead) });
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.postWebhook(event, body);
+        return true;
+      } catch (error) {
+        const status = Number(error.status);
+        const retryable = !status || status === 408 || status === 429 || status >= 500;
+        if (attempt >= this.webhookMaxAttempts || !retryable) throw error;
+
+        await new Promise(resolve => setTimeout(resolve, backoffDelay(attempt, { baseMs: 2000 })));
+      }
+    }
+  }
+  /**
+   * Faz uma requisição assinada ao webhook de leads
+   * @param {string} event - Nome do evento
+   * @param {string} body - Corpo JSON
+   * @returns {Promise<void>}
+   * @throws {Error} - Resposta fora de 2xx (com status), queda de conexão ou tempo esgotado
+   */
+  async postWebhook(event, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Idugel-Event': event,
+      'X-Idugel-Delivery': crypto.randomUUID(),
+      'X-Idugel-Timestamp': timestamp
+    };
+    if (this.webhookSecret) {
+      const signature = crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+      headers['X-Idugel-Signature'] = `sha256=${signature}`;
+    }
+
+    const response = await fetch(this.webhookUrl, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.webhookTimeoutMs)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Webhook de leads respondeu ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  LeadManager,
+  GRAIN_TYPES,
+  EQUIPMENT_LINES
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const pdfParse = require('pdf-parse');
+
+const DOCUMENT_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-excel': 'xlsx',
+  'text/plain': 'txt',
+  'text/csv': 'csv'
+};
+/**
+ * Identifica o tipo do documento pelo mimetype ou pela extensão do arquivo
+ * @param {string} mimetype - Mimetype informado pelo WhatsApp
+ * @param {string} fileName - Nome do arquivo
+ * @returns {string|null} - pdf, docx, xlsx, txt, csv ou null se não suportado
+ */
+function detectDocumentKind(mimetype, fileName) {
+  if (DOCUMENT_TYPES[mimetype]) return DOCUMENT_TYPES[mimetype];
+
+  const ext = path.extname(fileName || '').toLowerCase().slice(1);
+  if (ext === 'xls') return 'xlsx';
+  return ['pdf', 'docx', 'xlsx', 'txt', 'csv'].includes(ext) ? ext : null;
+}
+/**
+ * Extrai o texto de um documento (PDF, DOCX, XLSX, TXT ou CSV)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {Object} options
+ * @param {string} [options.mimetype] - Mimetype informado pelo WhatsApp
+ * @param {string} [options.fileName] - Nome do arquivo
+ * @param {number} [options.maxChars=12000] - Limite de caracteres devolvidos
+ * @returns {Promise<{kind: string, text: string, truncated: boolean}>}
+ * @throws {Error} - Se o tipo não for suportado
+ */
+async function extractDocumentText(buffer, { mimetype = '', fileName = '', maxChars = 12000 } = {}) {
+  const kind = detectDocumentKind(mimetype, fileName);
+  let text;
+
+  switch (kind) {
+    case 'pdf':
+      text = (await pdfParse(buffer)).text;
+      break;
+    case 'docx':
+      text = (await require('mammoth').extractRawText({ buffer })).value;
+      break;
+    case 'xlsx': {
+      // Cada planilha vira um bloco CSV com o nome da aba
+      const XLSX = require('xlsx');
+      const workbook = XLSX.read(buffer, { type: 'buffer' });
+      text = workbook.SheetNames
+        .map(name => `### ${name}\n${XLSX.utils.sheet_to_csv(workbook.Sheets[name], { FS: ';', blankrows: false })}`)
+        .join('\n\n');
+      break;
+    }
+    case 'txt':
+    case 'csv':
+      text = buffer.toString('utf8');
+      break;
+    default:
+      throw new Error(`Tipo de documento não suportado: ${mimetype || fileName}`);
+  }
+
+  const clean = String(text || '').replace(/\r/g, '').replace(/\n{3,}/g, '\n\n').trim();
+  return {
+    kind,
+    text: clean.substring(0, maxChars),
+    truncated: clean.length > maxChars
+  };
+}
+/**
+ * Extrai quadros de um vídeo em intervalos regulares usando o ffmpeg
+ * @param {string} videoPath - Caminho do vídeo
+ * @param {Object} [options]
+ * @param {number} [options.seconds] - Duração informada pelo WhatsApp
+ * @param {number} [options.frames=4] - Quantidade de quadros
+ * @param {string} [options.ffmpegPath='ffmpeg'] - Executável do ffmpeg
+ * @param {number} [options.timeoutMs=60000] - Tempo máximo do ffmpeg
+ * @returns {Promise<Buffer[]>} - Quadros em JPEG
+ */
+async function sampleVideoFrames(videoPath, { seconds = 0, frames = 4, ffmpegPath = 'ffmpeg', timeoutMs = 60000 } = {}) {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idugel-frames-'));
+  const interval = Math.max((seconds || frames) / frames, 1);
+
+  try {
+    await new Promise((resolve, reject) => {
+      execFile(ffmpegPath, [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-i', videoPath,
+        '-vf', `fps=1/${interval},scale=768:-2`,
+        '-frames:v', String(frames),
+        '-q:v', '4',
+        path.join(outputDir, 'frame_%02d.jpg')
+      ], { timeout: timeoutMs }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`ffmpeg falhou: ${stderr || error.message}`));
+          return;
+        }
+        resolve();
+      });
+    });
+
+    return fs.readdirSync(outputDir)
+      .filter(file => file.endsWith('.jpg'))
+      .sort()
+      .map(file => fs.readFileSync(path.join(outputDir, file)));
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+/**
+ * Busca o endereço de uma coordenada no OpenStreetMap (Nominatim)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl='https://nominatim.openstreetmap.org'] - Servidor Nominatim
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Promise<{address: string, city: string|null, state: string|null, postcode: string|null}>}
+ */
+async function reverseGeocode(latitude, longitude, { baseUrl = 'https://nominatim.openstreetmap.org', timeoutMs = 10000 } = {}) {
+  const url = `${baseUrl}/reverse?format=jsonv2&accept-language=pt-BR&lat=${latitude}&lon=${longitude}`;
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'A.IDUGEL WhatsApp Bot' },
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Geocodificação respondeu ${response.status}`);
+  }
+
+  const data = await response.json();
+  const address = data.address || {};
+  return {
+    address: data.display_name || '',
+    city: address.city || address.town || address.village || address.municipality || null,
+    state: address.state || null,
+    postcode: address.postcode || null
+  };
+}
+/**
+ * Lê nome e telefones de um vCard compartilhado no WhatsApp
+ * @param {string} vcard - Conteúdo do vCard
+ * @param {string} [displayName] - Nome exibido na mensagem
+ * @returns {{name: string, phones: string[], organization: string|null}}
+ */
+function parseVcard(vcard, displayName = '') {
+  const lines = String(vcard || '').split(/\r?\n/);
+  const value = line => line.substring(line.indexOf(':') + 1).trim();
+
+  const nameLine = lines.find(line => /^FN[;:]/i.test(line));
+  const orgLine = lines.find(line => /^ORG[;:]/i.test(line));
+  const phones = lines
+    .filter(line => /^(item\d+\.)?TEL[;:]/i.test(line))
+    .map(line => {
+      // O WhatsApp grava o número limpo em waid=...
+      const waid = line.match(/waid=(\d+)/i);
+      return waid ? waid[1] : value(line);
+    })
+    .filter(Boolean);
+
+  return {
+    name: displayName || (nameLine ? value(nameLine) : ''),
+    phones,
+    organization: orgLine ? value(orgLine).replace(/;+$/, '') : null
+  };
+}
+
+module.exports = {
+  detectDocumentKind,
+  extractDocumentText,
+  sampleVideoFrames,
+  reverseGeocode,
+  parseVcard
+};
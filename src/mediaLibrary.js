@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4'
+};
+
+// Marcador que o assistente coloca na resposta para pedir um envio: [ENVIAR_MATERIAL:id]
+const MEDIA_MARKER = /\[ENVIAR_MATERIAL:\s*([\w-]+)\s*\]/g;
+/**
+ * Biblioteca de materiais (catálogos, fotos e vídeos) que o bot pode enviar
+ *
+ * Os arquivos ficam numa pasta com um manifest.json:
+ * [{ "id": "catalogo-chromium", "title": "...", "file": "chromium.pdf", "tags": ["moinho"], "caption": "..." }]
+ */
+class MediaLibrary {
+  constructor() {
+    this.dir = null;
+    this.items = new Map();
+  }
+  /**
+   * Carrega o manifest.json da pasta, ignorando itens cujo arquivo não existe
+   * @param {string} dirPath - Pasta da biblioteca
+   * @returns {{loaded: number, missing: string[]}} - Itens carregados e IDs sem arquivo
+   */
+  load(dirPath) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dirPath, 'manifest.json'), 'utf8'));
+    const items = new Map();
+    const missing = [];
+
+    for (const entry of manifest) {
+      if (!entry || !entry.id || !entry.file) continue;
+
+      const filePath = path.resolve(dirPath, entry.file);
+      if (!fs.existsSync(filePath)) {
+        missing.push(entry.id);
+        continue;
+      }
+
+      const mimetype = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+      items.set(entry.id, {
+        id: entry.id,
+        title: entry.title || entry.id,
+        tags: entry.tags || [],
+        caption: entry.caption || entry.title || '',
+        filePath,
+        fileName: path.basename(filePath),
+        mimetype,
+        type: mimetype.startsWith('image/') ? 'image' : mimetype.startsWith('video/') ? 'video' : 'document'
+      });
+    }
+
+    this.dir = dirPath;
+    this.items = items;
+    return { loaded: items.size, missing };
+  }
+  /**
+   * Lista os itens disponíveis
+   * @returns {Array<{id: string, title: string, tags: string[], type: string}>}
+   */
+  list() {
+    return [...this.items.values()].map(({ id, title, tags, type }) => ({ id, title, tags, type }));
+  }
+  /**
+   * Busca um item pelo ID
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.items.get(id) || null;
+  }
+  /**
+   * Indica se há itens carregados
+   * @returns {boolean}
+   */
+  hasItems() {
+    return this.items.size > 0;
+  }
+  /**
+   * Retira da resposta os marcadores [ENVIAR_MATERIAL:id]
+   * @param {string} text - Resposta do assistente
+   * @returns {{text: string, ids: string[]}} - Texto sem marcadores e IDs pedidos
+   */
+  extractMarkers(text) {
+    const ids = [...String(text || '').matchAll(MEDIA_MARKER)].map(match => match[1]);
+    if (ids.length === 0) return { text, ids };
+    return { text: String(text).replace(MEDIA_MARKER, '').replace(/[ \t]{2,}/g, ' ').trim(), ids };
+  }
+  /**
+   * Conteúdo de envio do Baileys para um item (documento, imagem ou vídeo com legenda)
+   * @param {string} id
+   * @returns {Object}
+   * @throws {Error} - Se o item não existir
+   */
+  buildMessage(id) {
+    const item = this.get(id);
+    if (!item) {
+      throw new Error(`Material não encontrado na biblioteca: ${id}`);
+    }
+
+    const source = { url: item.filePath };
+    if (item.type === 'image') return { image: source, caption: item.caption };
+    if (item.type === 'video') return { video: source, caption: item.caption };
+    return { document: source, mimetype: item.mimetype, fileName: item.fileName, caption: item.caption };
+  }
+}
+module.exports = new MediaLibrary();
@@ -26,7 +26,8 @@ class MessageHandler {
       }
       
       // Busca conteúdo relevante
-      const relevantContent = contentManager.searchContent(messageText);
+      const results = await contentManager.searchContent(messageText);
+      const relevantContent = contentManager.formatResults(results);
       
       // Prepara o contexto para a API da OpenAI
       const context = this.prepareContext(
@@ -94,15 +95,18 @@ class MessageHandler {
    * @param {string} messageText - Texto da mensagem
    * @param {Object} conversationContext - Contexto da conversa
    * @param {string} relevantContent - Conteúdo relevante
+   * @param {string} [systemPrompt] - Instruções que substituem a apresentação padrão
    * @returns {Array} - Contexto formatado para a API da OpenAI
    */
-  prepareContext(senderId, messageText, conversationContext, relevantContent) {
+  prepareContext(senderId, messageText, conversationContext, relevantContent, systemPrompt) {
+    const instructions = systemPrompt || `Você é um assistente de IA chamado ${process.env.BOT_NAME || 'Assistente IA'} que responde perguntas com base em conteúdo personalizado. 
+        Seja útil, educado e conciso. Se você não souber a resposta com base no conteúdo fornecido, 
+        diga que não tem essa informação disponível no momento.`;
+
     const messages = [
       {
         role: 'system',
-        content: `Você é um assistente de IA chamado ${process.env.BOT_NAME || 'Assistente IA'} que responde perguntas com base em conteúdo personalizado. 
-        Seja útil, educado e conciso. Se você não souber a resposta com base no conteúdo fornecido, 
-        diga que não tem essa informação disponível no momento.
+        content: `${instructions}
         
         ${relevantContent ? 'Informações relevantes para a consulta:\n' + relevantContent : 'Não há informações específicas sobre esta consulta no conteúdo personalizado.'}`
       }
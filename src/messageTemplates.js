@@ -0,0 +1,71 @@
+const fs = require('fs');
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+/**
+ * Modelos de mensagem usados nos envios pela API
+ *
+ * Cada modelo é um texto com variáveis no formato {{nome}}, preenchidas
+ * pelo sistema que pede o envio (ERP, CRM).
+ */
+class MessageTemplates {
+  constructor() {
+    this.templates = new Map();
+  }
+  /**
+   * Carrega os modelos de um arquivo JSON ({ "id": { "description": "...", "text": "..." } })
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {void}
+   */
+  load(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    this.templates = new Map(
+      Object.entries(config)
+        .filter(([, template]) => template && template.text)
+        .map(([id, template]) => [id, { id, description: template.description || '', text: template.text }])
+    );
+
+    console.log(`Modelos de mensagem carregados: ${[...this.templates.keys()].join(', ')}`);
+  }
+  /**
+   * Lista os modelos com as variáveis que cada um espera
+   * @returns {Array<{id: string, description: string, variables: string[]}>}
+   */
+  list() {
+    return [...this.templates.values()].map(template => ({
+      id: template.id,
+      description: template.description,
+      variables: this.variablesOf(template.text)
+    }));
+  }
+  /**
+   * Variáveis usadas num texto, sem repetição
+   * @param {string} text
+   * @returns {string[]}
+   */
+  variablesOf(text) {
+    return [...new Set([...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+  }
+  /**
+   * Preenche um modelo com as variáveis informadas
+   * @param {string} id - ID do modelo
+   * @param {Object} [variables={}] - Valores por nome de variável
+   * @returns {string} - Texto final
+   * @throws {Error} - Se o modelo não existir ou faltar alguma variável
+   */
+  render(id, variables = {}) {
+    const template = this.templates.get(id);
+    if (!template) {
+      throw new Error(`Modelo de mensagem não encontrado: ${id}`);
+    }
+
+    const missing = this.variablesOf(template.text).filter(name =>
+      variables[name] === undefined || variables[name] === null || String(variables[name]).trim() === ''
+    );
+    if (missing.length > 0) {
+      throw new Error(`Variáveis ausentes no modelo ${id}: ${missing.join(', ')}`);
+    }
+
+    return template.text.replace(VARIABLE_PATTERN, (_, name) => String(variables[name]));
+  }
+}
+module.exports = new MessageTemplates();
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+
+// Ordem dos status de um envio; recibos atrasados nunca fazem o status voltar
+const STATUS_ORDER = ['queued', 'sending', 'sent', 'delivered', 'read'];
+
+// Status dos recibos do Baileys (proto.WebMessageInfo.Status)
+const RECEIPT_STATUS = { 0: 'failed', 2: 'sent', 3: 'delivered', 4: 'read', 5: 'read' };
+/**
+ * Fila de envios ativos (mensagens que partem da empresa, não respostas do bot)
+ *
+ * Os envios pedidos pela API saem um de cada vez, respeitando um limite por
+ * minuto para não disparar o bloqueio do WhatsApp. O status de cada envio fica
+ * no armazenamento e é atualizado pelos recibos de entrega e leitura; o conteúdo
+ * também é gravado, para a fila ser retomada depois de um reinício.
+ */
+class OutboundQueue {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.store - Armazenamento de conversas
+   * @param {Function} deps.send - (jid, content) => Promise<mensagem enviada pelo Baileys>
+   * @param {Function} deps.isReady - Indica se o WhatsApp está conectado
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {number} [deps.ratePerMinute=20] - Envios por minuto
+   * @param {number} [deps.maxAttempts=3] - Tentativas antes de marcar como falha
+   * @param {Object} [deps.codec] - replacer/reviver do JSON do conteúdo (BufferJSON do Baileys, para mídias em Buffer)
+   */
+  constructor({ store, send, isReady, logger, ratePerMinute = 20, maxAttempts = 3, codec = {} }) {
+    this.store = store;
+    this.codec = codec;
+    this.send = send;
+    this.isReady = isReady;
+    this.logger = logger;
+    this.intervalMs = Math.ceil(60000 / Math.max(ratePerMinute, 1));
+    this.maxAttempts = maxAttempts;
+    this.jobs = [];
+    this.processing = false;
+    this.lastSentAt = 0;
+  }
+  /**
+   * Coloca um envio na fila
+   * @param {Object} job
+   * @param {string} job.jid - JID do destinatário
+   * @param {string} job.type - text, image, document ou template
+   * @param {Object} job.content - Conteúdo no formato do sock.sendMessage
+   * @param {string} [job.summary] - Texto ou legenda, para o histórico
+   * @param {string} [job.requestedBy] - Cliente da API que pediu o envio
+   * @returns {Object} - Envio gravado, com status "queued"
+   */
+  enqueue({ jid, type, content, summary = null, requestedBy = null }) {
+    const id = crypto.randomUUID();
+    const payload = JSON.stringify(content, this.codec.replacer);
+    const record = this.store.createOutbound({ id, jid, type, content: summary, requestedBy, payload });
+
+    this.jobs.push({ id, jid, type, content, summary, requestedBy, attempts: 0 });
+    this.logger.logInfo('📤 ENVIO ENFILEIRADO', {
+      id,
+      to: jid.replace('@s.whatsapp.net', ''),
+      type,
+      queue_size: this.jobs.length
+    });
+
+    this.start();
+    return record;
+  }
+  /**
+   * Retoma os envios gravados que não saíram antes do último desligamento
+   *
+   * Os que estavam em "sending" podem ter chegado ao cliente sem o bot registrar;
+   * para não duplicar a mensagem, viram falha e ficam para quem pediu decidir.
+   * @returns {number} - Envios devolvidos à fila
+   */
+  restore() {
+    let restored = 0;
+
+    for (const record of this.store.listPendingOutbound()) {
+      if (record.status === 'sending' || !record.payload) {
+        const error = record.status === 'sending' ? 'envio interrompido pelo reinício' : 'conteúdo não gravado';
+        this.store.updateOutbound(record.id, { status: 'failed', error });
+        this.logger.logInfo('📤 ENVIO PENDENTE DESCARTADO', { id: record.id, to: record.jid.replace('@s.whatsapp.net', ''), error });
+        continue;
+      }
+
+      this.jobs.push({
+        id: record.id,
+        jid: record.jid,
+        type: record.type,
+        content: JSON.parse(record.payload, this.codec.reviver),
+        summary: record.content,
+        requestedBy: record.requested_by,
+        attempts: 0
+      });
+      restored++;
+    }
+
+    if (restored > 0) {
+      this.logger.logInfo('📤 ENVIOS PENDENTES RETOMADOS', { count: restored });
+      this.start();
+    }
+    return restored;
+  }
+  /**
+   * Dispara o processamento da fila sem bloquear quem chamou
+   * @returns {void}
+   */
+  start() {
+    this.process().catch(error => {
+      this.logger.logError('Erro no processamento da fila de envios', error, { queue_size: this.jobs.length });
+    });
+  }
+  /**
+   * Envia os itens da fila respeitando o intervalo mínimo entre envios
+   * @returns {Promise<void>}
+   */
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.jobs.length > 0) {
+        if (!this.isReady()) {
+          await sleep(5000);
+          continue;
+        }
+
+        const wait = this.lastSentAt + this.intervalMs - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        const job = this.jobs.shift();
+        await this.sendJob(job);
+        this.lastSentAt = Date.now();
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+  /**
+   * Envia um item, devolvendo-o ao fim da fila se o envio falhar
+   *
+   * Só a falha do próprio envio gera nova tentativa: um erro ao gravar o
+   * resultado depois que a mensagem saiu não pode reenviá-la ao cliente.
+   * @param {Object} job
+   * @returns {Promise<void>}
+   */
+  async sendJob(job) {
+    job.attempts++;
+    this.record(job, { status: 'sending' });
+
+    let sent;
+    try {
+      sent = await this.send(job.jid, job.content);
+    } catch (error) {
+      if (job.attempts < this.maxAttempts) {
+        this.record(job, { status: 'queued', error: error.message });
+        this.jobs.push(job);
+        this.logger.logError('Falha no envio, nova tentativa', error, { id: job.id, attempts: job.attempts });
+        return;
+      }
+
+      this.record(job, { status: 'failed', error: error.message });
+      this.logger.logError('Envio descartado após tentativas', error, { id: job.id, attempts: job.attempts });
+      return;
+    }
+
+    const waMessageId = sent && sent.key ? sent.key.id : null;
+    this.record(job, { status: 'sent', waMessageId });
+
+    try {
+      this.store.addMessage({
+        jid: job.jid,
+        direction: 'out',
+        content: job.summary || `[${job.type}]`,
+        mediaType: job.type === 'template' ? 'text' : job.type,
+        author: job.requestedBy ? `api:${job.requestedBy}` : 'api',
+        waMessageId
+      });
+    } catch (error) {
+      this.logger.logError('Erro ao gravar envio no histórico', error, { id: job.id });
+    }
+
+    this.logger.logSuccess('📤 ENVIO REALIZADO', {
+      id: job.id,
+      to: job.jid.replace('@s.whatsapp.net', ''),
+      type: job.type,
+      attempts: job.attempts
+    });
+  }
+  /**
+   * Atualiza o status gravado de um envio sem interromper a fila se a gravação falhar
+   * @param {Object} job
+   * @param {Object} fields - Campos do updateOutbound
+   * @returns {void}
+   */
+  record(job, fields) {
+    try {
+      this.store.updateOutbound(job.id, fields);
+    } catch (error) {
+      this.logger.logError('Erro ao gravar status do envio', error, { id: job.id, status: fields.status });
+    }
+  }
+  /**
+   * Aplica um recibo do WhatsApp (evento messages.update) ao envio correspondente
+   * @param {string} waMessageId - ID da mensagem no WhatsApp
+   * @param {number} receiptStatus - Status do Baileys
+   * @returns {Object|null} - Envio atualizado, ou null se não for um envio da API
+   */
+  applyReceipt(waMessageId, receiptStatus) {
+    const status = RECEIPT_STATUS[receiptStatus];
+    const record = status && this.store.findOutboundByWaMessageId(waMessageId);
+    if (!record) return null;
+
+    if (status === 'failed') {
+      if (STATUS_ORDER.indexOf(record.status) >= STATUS_ORDER.indexOf('delivered')) return record;
+      return this.store.updateOutbound(record.id, { status, error: 'recusada pelo WhatsApp' });
+    }
+
+    if (STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(record.status)) return record;
+    return this.store.updateOutbound(record.id, { status });
+  }
+  /**
+   * Quantidade de envios aguardando na fila
+   * @returns {number}
+   */
+  size() {
+    return this.jobs.length;
+  }
+}
+/**
+ * Espera um intervalo
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  OutboundQueue,
+  RECEIPT_STATUS
+};
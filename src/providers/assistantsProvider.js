@@ -0,0 +1,292 @@
+const BaseProvider = require('./baseProvider');
+const { ensureStringThreadId } = require('../threadUtils');
+
+// Execuções que ainda prendem a thread (ela não aceita mensagens novas enquanto houver uma)
+const ACTIVE_RUN_STATUSES = ['queued', 'in_progress', 'requires_action', 'cancelling'];
+/**
+ * Provedor baseado na API de Assistants da OpenAI (threads remotas)
+ */
+class AssistantsProvider extends BaseProvider {
+  /**
+   * @param {Object} deps - Dependências compartilhadas
+   * @param {Object} deps.openai - Cliente da API da OpenAI
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {string} deps.assistantId - ID do Assistant configurado no Playground
+   * @param {string} [deps.systemPrompt] - Prompt da sessão; substitui as instruções do Assistant em cada execução
+   * @param {Object} [deps.tools] - ToolRegistry com as funções que o assistente pode chamar
+   * @param {Object} [deps.retry] - Novas tentativas em 429/5xx
+   */
+  constructor({ openai, logger, assistantId, systemPrompt = null, tools = null, retry }) {
+    super({ logger, retry });
+    this.openai = openai;
+    this.assistantId = String(assistantId);
+    this.systemPrompt = systemPrompt;
+    this.tools = tools;
+    this.assistantTools = null;
+  }
+
+  get name() {
+    return 'assistants';
+  }
+
+  async createThread() {
+    try {
+      const response = await this.callWithRetry('threads.create', () => this.openai.beta.threads.create());
+      const threadId = ensureStringThreadId(response.id);
+      this.logger.logThread('Nova thread criada', '', threadId);
+      return threadId;
+    } catch (error) {
+      this.logger.logError('Erro ao criar thread', error);
+      throw error;
+    }
+  }
+
+  async generateReply(threadId, messageText, { relevantContent, onText, toolContext, onRetry, signal, onMessageAdded } = {}) {
+    // O Assistant não recebe system prompt por mensagem: os trechos vão junto com a pergunta
+    const fullMessage = relevantContent
+      ? `${messageText}\n\nInformações da base de conhecimento local (use se forem relevantes e cite a fonte):\n${relevantContent}`
+      : messageText;
+
+    // Cada etapa é repetida sozinha, para a mensagem não entrar duas vezes na thread
+    await this.callWithRetry('messages.create', () => this.addMessageToThread(threadId, fullMessage, signal), onRetry);
+    if (onMessageAdded) onMessageAdded();
+    return this.callWithRetry('runs.stream', async (attempt) => {
+      // Uma queda no meio do streaming pode deixar a execução anterior ativa no servidor
+      if (attempt > 1) await this.cancelActiveRuns(threadId);
+      return this.streamRun(threadId, onText, toolContext, signal);
+    }, onRetry);
+  }
+  /**
+   * Adiciona a mensagem do usuário à thread
+   * @param {string} threadId - ID da thread
+   * @param {string} messageText - Texto da mensagem
+   * @param {AbortSignal} [signal] - Cancela a requisição
+   * @returns {Promise<Object>} - Mensagem criada
+   */
+  async addMessageToThread(threadId, messageText, signal) {
+    try {
+      const cleanThreadId = ensureStringThreadId(threadId);
+      this.logger.logThread('Adicionando mensagem à thread', '', cleanThreadId, {
+        message_length: messageText.length
+      });
+
+      const response = await this.openai.beta.threads.messages.create(cleanThreadId, {
+        role: 'user',
+        content: String(messageText)
+      }, { signal });
+
+      this.logger.logThread('Mensagem adicionada com sucesso', '', cleanThreadId, {
+        message_id: response.id
+      });
+
+      return response;
+    } catch (error) {
+      this.logger.logError('Erro ao adicionar mensagem à thread', error, { threadId });
+      throw error;
+    }
+  }
+  /**
+   * Ferramentas da execução: as do Assistant (file_search, code_interpreter...)
+   * mais as funções registradas, que substituem as de mesmo nome
+   * @returns {Promise<Array<Object>|undefined>} - undefined mantém as ferramentas do Assistant
+   */
+  async resolveTools() {
+    if (!this.tools || this.tools.size() === 0) return undefined;
+
+    if (!this.assistantTools) {
+      const assistant = await this.openai.beta.assistants.retrieve(this.assistantId);
+      this.assistantTools = (assistant.tools || [])
+        .filter(tool => tool.type !== 'function' || !this.tools.has(tool.function.name));
+    }
+
+    return [...this.assistantTools, ...this.tools.definitions()];
+  }
+  /**
+   * Executa as funções pedidas pelo modelo
+   * @param {string} threadId - ID da thread
+   * @param {string} runId - ID da execução
+   * @param {Array<Object>} toolCalls - Chamadas de required_action.submit_tool_outputs
+   * @param {Object} [toolContext] - Dados da conversa repassados às ferramentas
+   * @returns {Promise<Array<{tool_call_id: string, output: string}>>}
+   */
+  async runToolCalls(threadId, runId, toolCalls, toolContext = {}) {
+    this.logger.logThread('Execução pediu ferramentas', '', threadId, {
+      run_id: runId,
+      tools: toolCalls.map(call => call.function.name)
+    });
+
+    const outputs = [];
+    for (const call of toolCalls) {
+      const output = this.tools
+        ? await this.tools.execute(call.function.name, call.function.arguments, toolContext)
+        : JSON.stringify({ error: `Ferramenta não registrada: ${call.function.name}` });
+      outputs.push({ tool_call_id: call.id, output });
+    }
+    return outputs;
+  }
+  /**
+   * Executa o assistente na thread recebendo a resposta por streaming
+   *
+   * Quando a execução pede ferramentas (requires_action), as funções
+   * registradas são executadas e os resultados enviados de volta, e o
+   * streaming continua na mesma execução.
+   * @param {string} threadId - ID da thread
+   * @param {Function} [onText] - Chamada a cada trecho de texto gerado
+   * @param {Object} [toolContext] - Dados da conversa repassados às ferramentas
+   * @param {AbortSignal} [signal] - Interrompe o streaming e cancela a execução
+   * @returns {Promise<string>} - Texto completo da resposta
+   */
+  async streamRun(threadId, onText, toolContext, signal) {
+    const cleanThreadId = ensureStringThreadId(threadId);
+    const startTime = Date.now();
+    let runId = null;
+    let current = null;
+    let text = '';
+    let usedTools = false;
+
+    // Mais de uma mensagem na mesma execução vira um parágrafo novo
+    const append = (delta) => {
+      text += delta;
+      if (onText) onText(delta);
+    };
+
+    try {
+      this.logger.logThread('Executando assistente', '', cleanThreadId, {
+        assistant_id: this.assistantId,
+        session_prompt: Boolean(this.systemPrompt)
+      });
+
+      let stream = this.openai.beta.threads.runs.stream(cleanThreadId, {
+        assistant_id: this.assistantId,
+        instructions: this.systemPrompt || undefined,
+        tools: await this.resolveTools()
+      }, { signal });
+
+      while (stream) {
+        current = stream;
+        stream = null;
+
+        for await (const event of current) {
+          switch (event.event) {
+            case 'thread.run.created':
+              runId = event.data.id;
+              this.logger.logThread('Execução iniciada', '', cleanThreadId, { run_id: runId });
+              break;
+            case 'thread.message.created':
+              if (text) append('\n\n');
+              break;
+            case 'thread.message.delta':
+              for (const part of event.data.delta.content || []) {
+                if (part.type === 'text' && part.text && part.text.value) {
+                  append(part.text.value);
+                }
+              }
+              break;
+            case 'thread.run.completed':
+              this.logger.logThread('Execução concluída com sucesso', '', cleanThreadId, {
+                run_id: runId,
+                content_length: text.length,
+                duration_ms: Date.now() - startTime
+              });
+              break;
+            case 'thread.run.requires_action': {
+              // Os resultados das ferramentas abrem um novo stream da mesma execução
+              usedTools = true;
+              const toolOutputs = await this.runToolCalls(
+                cleanThreadId,
+                event.data.id,
+                event.data.required_action.submit_tool_outputs.tool_calls,
+                toolContext
+              );
+              stream = this.openai.beta.threads.runs.submitToolOutputsStream(cleanThreadId, event.data.id, {
+                tool_outputs: toolOutputs
+              }, { signal });
+              break;
+            }
+            case 'thread.run.failed':
+            case 'thread.run.cancelled':
+            case 'thread.run.expired': {
+              const runError = new Error(`Execução falhou com status: ${event.data.status}${event.data.last_error ? ` (${event.data.last_error.message})` : ''}`);
+              // rate_limit_exceeded e server_error permitem nova tentativa
+              runError.code = event.data.last_error ? event.data.last_error.code : null;
+              throw runError;
+            }
+            case 'error':
+              throw new Error(`Erro no streaming da execução: ${event.data.message || 'desconhecido'}`);
+          }
+        }
+      }
+
+      if (!text) {
+        throw new Error('Execução concluída sem resposta em texto');
+      }
+
+      return text;
+    } catch (error) {
+      // Interrompida por quem chamou: a execução é cancelada para liberar a thread.
+      // Sem o evento thread.run.created, a execução vem do snapshot do stream ou da lista da thread
+      if (signal && signal.aborted) {
+        const snapshot = current && typeof current.currentRun === 'function' ? current.currentRun() : null;
+        const knownRunId = runId || (snapshot ? snapshot.id : null);
+        if (knownRunId) {
+          await this.cancelRun(cleanThreadId, knownRunId);
+        } else {
+          await this.cancelActiveRuns(cleanThreadId);
+        }
+        throw error;
+      }
+
+      this.logger.logError('Erro na execução do assistente', error, { threadId, runId });
+
+      // Texto já repassado ou ferramentas já executadas não podem ser repetidos
+      if (text || usedTools) error.retryable = false;
+      throw error;
+    }
+  }
+  /**
+   * Cancela uma execução e espera ela terminar, já que a thread não aceita
+   * mensagens novas enquanto há uma execução ativa
+   * @param {string} threadId - ID da thread
+   * @param {string} runId - ID da execução
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs=10000] - Espera máxima pelo cancelamento
+   * @returns {Promise<void>}
+   */
+  async cancelRun(threadId, runId, { timeoutMs = 10000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    try {
+      let run = await this.openai.beta.threads.runs.cancel(threadId, runId);
+      while (ACTIVE_RUN_STATUSES.includes(run.status) && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        run = await this.openai.beta.threads.runs.retrieve(threadId, runId);
+      }
+
+      this.logger.logThread('Execução cancelada', '', threadId, { run_id: runId, status: run.status });
+    } catch (error) {
+      // A execução pode ter terminado antes do pedido de cancelamento
+      this.logger.logError('Erro ao cancelar execução', error, { threadId, runId });
+    }
+  }
+  /**
+   * Cancela as execuções ainda ativas da thread, quando o ID da execução não chegou ao bot
+   * @param {string} threadId - ID da thread
+   * @returns {Promise<number>} - Execuções canceladas
+   */
+  async cancelActiveRuns(threadId) {
+    const cleanThreadId = ensureStringThreadId(threadId);
+
+    try {
+      const page = await this.openai.beta.threads.runs.list(cleanThreadId, { limit: 5, order: 'desc' });
+      const active = page.data.filter(run => ACTIVE_RUN_STATUSES.includes(run.status));
+      for (const run of active) {
+        await this.cancelRun(cleanThreadId, run.id);
+      }
+      return active.length;
+    } catch (error) {
+      this.logger.logError('Erro ao listar execuções ativas', error, { threadId: cleanThreadId });
+      return 0;
+    }
+  }
+}
+module.exports = AssistantsProvider;
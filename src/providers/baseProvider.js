@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { withRetry } = require('../retry');
+/**
+ * Contrato comum dos provedores de LLM usados pelo processMessage
+ *
+ * Cada provedor recebe o ID da thread do contato (gerenciado pelo
+ * ThreadManager) e a mensagem já contextualizada, e devolve o texto
+ * bruto da resposta. Limpeza de citações e formatação ficam no index.js.
+ */
+class BaseProvider {
+  /**
+   * @param {Object} deps - Dependências compartilhadas
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {Object} [deps.retry] - Novas tentativas em 429/5xx ({ retries, baseMs, maxMs })
+   */
+  constructor({ logger, retry = {} }) {
+    this.logger = logger;
+    this.retry = retry;
+  }
+  /**
+   * Nome do provedor, usado em logs e estatísticas
+   * @returns {string}
+   */
+  get name() {
+    return 'base';
+  }
+  /**
+   * Cria uma nova thread para um contato
+   * @returns {Promise<string>} - ID da thread criada
+   */
+  async createThread() {
+    const threadId = `thread_local_${crypto.randomUUID().replace(/-/g, '')}`;
+    this.logger.logThread('Nova thread local criada', '', threadId, { provider: this.name });
+    return threadId;
+  }
+  /**
+   * Gera a resposta para uma mensagem
+   * @param {string} threadId - ID da thread do contato
+   * @param {string} messageText - Mensagem já contextualizada
+   * @param {Object} [options]
+   * @param {string} [options.relevantContent] - Trechos da base de conhecimento local
+   * @param {Function} [options.onText] - Recebe os trechos de texto à medida que são gerados (provedores com streaming)
+   * @param {Function} [options.onRetry] - Avisada quando a API pede para esperar ({ attempt, delayMs, error })
+   * @param {AbortSignal} [options.signal] - Cancela a geração em andamento
+   * @param {Function} [options.onMessageAdded] - Avisada quando a mensagem já ficou gravada na thread remota (assistants)
+   * @returns {Promise<string>} - Texto da resposta
+   */
+  async generateReply(threadId, messageText, options = {}) {
+    throw new Error(`generateReply não implementado no provedor ${this.name}`);
+  }
+  /**
+   * Executa uma chamada à API repetindo em limite de requisições ou falha do servidor
+   * @param {string} operation - Nome da operação, para os logs
+   * @param {Function} fn - Chamada assíncrona
+   * @param {Function} [onRetry] - Avisada antes de cada espera
+   * @returns {Promise<*>} - Resultado da chamada
+   */
+  callWithRetry(operation, fn, onRetry) {
+    return withRetry(fn, {
+      ...this.retry,
+      onRetry: async (retry) => {
+        this.logger.logInfo('⏳ NOVA TENTATIVA NA API', {
+          provider: this.name,
+          operation,
+          attempt: retry.attempt,
+          delay_ms: retry.delayMs,
+          status: retry.error.status || null,
+          reason: retry.error.message
+        });
+        if (onRetry) await onRetry(retry);
+      }
+    });
+  }
+}
+module.exports = BaseProvider;
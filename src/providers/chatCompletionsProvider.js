@@ -0,0 +1,62 @@
+const BaseProvider = require('./baseProvider');
+const messageHandler = require('../messageHandler');
+/**
+ * Provedor baseado em Chat Completions
+ *
+ * Funciona com a OpenAI ou com qualquer servidor local compatível
+ * (basta apontar o cliente para outra baseURL). O histórico fica em
+ * memória, indexado pelo ID da thread local do contato.
+ */
+class ChatCompletionsProvider extends BaseProvider {
+  /**
+   * @param {Object} deps - Dependências compartilhadas
+   * @param {Object} deps.openai - Cliente compatível com a API da OpenAI
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {string} deps.model - Modelo usado nas requisições
+   * @param {string} [deps.systemPrompt] - Instruções do sistema (prompt da sessão)
+   * @param {Object} [deps.retry] - Novas tentativas em 429/5xx
+   */
+  constructor({ openai, logger, model, systemPrompt = null, retry }) {
+    super({ logger, retry });
+    this.openai = openai;
+    this.model = model;
+    this.systemPrompt = systemPrompt;
+    this.conversationContext = {};
+  }
+
+  get name() {
+    return 'chat';
+  }
+
+  async generateReply(threadId, messageText, { relevantContent, onRetry, signal } = {}) {
+    if (!this.conversationContext[threadId]) {
+      this.conversationContext[threadId] = [];
+    }
+
+    const context = messageHandler.prepareContext(threadId, messageText, this.conversationContext, relevantContent || '', this.systemPrompt);
+
+    this.logger.logThread('Enviando para Chat Completions', '', threadId, {
+      model: this.model,
+      context_messages: context.length
+    });
+
+    const completion = await this.callWithRetry('chat.completions.create', () => this.openai.chat.completions.create({
+      model: this.model,
+      messages: context,
+      max_tokens: 500,
+      temperature: 0.7
+    }, { signal }), onRetry);
+
+    const responseText = completion.choices[0].message.content.trim();
+
+    messageHandler.updateConversationContext(threadId, messageText, responseText, this.conversationContext);
+
+    this.logger.logThread('Resposta obtida', '', threadId, {
+      content_length: responseText.length,
+      content_preview: responseText.substring(0, 100) + '...'
+    });
+
+    return responseText;
+  }
+}
+module.exports = ChatCompletionsProvider;
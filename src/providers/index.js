@@ -0,0 +1,54 @@
+const OpenAI = require('openai');
+const AssistantsProvider = require('./assistantsProvider');
+const ChatCompletionsProvider = require('./chatCompletionsProvider');
+const MockProvider = require('./mockProvider');
+/**
+ * Cria o provedor de LLM configurado
+ * @param {string} name - Nome do provedor (assistants, chat ou mock)
+ * @param {Object} deps - Dependências compartilhadas
+ * @param {Object} deps.openai - Cliente padrão da API da OpenAI
+ * @param {Object} deps.logger - Instância do ConversationLogger
+ * @param {string} [deps.assistantId] - Assistant da sessão (padrão: OPENAI_ASSISTANT_ID)
+ * @param {string} [deps.model] - Modelo da sessão (padrão: LLM_MODEL)
+ * @param {string} [deps.systemPrompt] - Prompt da sessão (system no chat, instructions da execução no assistants)
+ * @param {Object} [deps.tools] - ToolRegistry com as funções do Assistant, usado pelo provedor assistants
+ * @param {Object} [deps.retry] - Novas tentativas em 429/5xx ({ retries, baseMs, maxMs })
+ * @returns {Object} - Instância do provedor
+ */
+function createProvider(name, { openai, logger, assistantId, model, systemPrompt, tools, retry }) {
+  switch ((name || 'assistants').toLowerCase()) {
+    case 'assistants':
+      return new AssistantsProvider({
+        openai,
+        logger,
+        assistantId: assistantId || process.env.OPENAI_ASSISTANT_ID,
+        systemPrompt,
+        tools,
+        retry
+      });
+    case 'chat': {
+      // Permite apontar para um servidor local compatível com a OpenAI
+      const client = process.env.LLM_BASE_URL
+        ? new OpenAI({
+          apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || 'local',
+          baseURL: process.env.LLM_BASE_URL
+        })
+        : openai;
+      return new ChatCompletionsProvider({
+        openai: client,
+        logger,
+        model: model || process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+        systemPrompt,
+        retry
+      });
+    }
+    case 'mock':
+      return new MockProvider({
+        logger,
+        fixedReply: process.env.MOCK_LLM_REPLY
+      });
+    default:
+      throw new Error(`Provedor de LLM desconhecido: ${name}`);
+  }
+}
+module.exports = { createProvider };
@@ -0,0 +1,46 @@
+const BaseProvider = require('./baseProvider');
+/**
+ * Provedor determinístico para staging e testes manuais
+ *
+ * Não faz chamadas externas: responde com MOCK_LLM_REPLY, se definido,
+ * ou ecoa a mensagem recebida numerada por thread. Com onText, entrega a
+ * resposta palavra por palavra, como um provedor com streaming.
+ */
+class MockProvider extends BaseProvider {
+  /**
+   * @param {Object} deps - Dependências compartilhadas
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {string} [deps.fixedReply] - Resposta fixa opcional
+   */
+  constructor({ logger, fixedReply }) {
+    super({ logger });
+    this.fixedReply = fixedReply;
+    this.counters = new Map();
+  }
+
+  get name() {
+    return 'mock';
+  }
+
+  async generateReply(threadId, messageText, { onText } = {}) {
+    const count = (this.counters.get(threadId) || 0) + 1;
+    this.counters.set(threadId, count);
+
+    const responseText = this.fixedReply || `Resposta simulada #${count}: ${messageText}`;
+
+    this.logger.logThread('Resposta simulada gerada', '', threadId, {
+      reply_number: count,
+      content_length: responseText.length
+    });
+
+    // Simula o streaming, palavra por palavra
+    if (onText) {
+      for (const word of responseText.split(/(?<=\s)/)) {
+        onText(word);
+      }
+    }
+
+    return responseText;
+  }
+}
+module.exports = MockProvider;
@@ -0,0 +1,81 @@
+const { botJids, getContextInfo, normalizeJid } = require('./groupUtils');
+
+const QUOTE_MAX_CHARS = 500;
+/**
+ * Lê a mensagem citada (resposta a uma mensagem anterior)
+ * @param {Object} sock - Socket do Baileys, para saber se a citada é do bot
+ * @param {Object} message - Mensagem do Baileys
+ * @returns {{id: string|null, fromBot: boolean, type: string, text: string}|null} - Citação ou null se não houver
+ */
+function extractQuote(sock, message) {
+  const contextInfo = message && getContextInfo(message);
+  if (!contextInfo || !contextInfo.quotedMessage) return null;
+
+  const quoted = contextInfo.quotedMessage;
+  const documentMessage = quoted.documentMessage || quoted.documentWithCaptionMessage?.message?.documentMessage;
+  let type = 'text';
+  let text = '';
+
+  if (quoted.conversation || quoted.extendedTextMessage) {
+    text = quoted.conversation || quoted.extendedTextMessage.text || '';
+  } else if (quoted.imageMessage) {
+    type = 'image';
+    text = quoted.imageMessage.caption || '';
+  } else if (quoted.videoMessage) {
+    type = 'video';
+    text = quoted.videoMessage.caption || '';
+  } else if (documentMessage) {
+    type = 'document';
+    text = [documentMessage.fileName, documentMessage.caption].filter(Boolean).join(' - ');
+  } else if (quoted.audioMessage) {
+    type = 'audio';
+  } else if (quoted.locationMessage) {
+    type = 'location';
+    text = [quoted.locationMessage.name, quoted.locationMessage.address].filter(Boolean).join(' - ');
+  } else if (quoted.contactMessage) {
+    type = 'contact';
+    text = quoted.contactMessage.displayName || '';
+  } else {
+    type = Object.keys(quoted)[0] || 'unknown';
+  }
+
+  return {
+    id: contextInfo.stanzaId || null,
+    fromBot: Boolean(contextInfo.participant) && botJids(sock).has(normalizeJid(contextInfo.participant)),
+    type,
+    text: text.length > QUOTE_MAX_CHARS ? `${text.substring(0, QUOTE_MAX_CHARS)}...` : text
+  };
+}
+
+const QUOTE_LABELS = {
+  text: 'mensagem',
+  image: 'imagem',
+  video: 'vídeo',
+  document: 'documento',
+  audio: 'áudio',
+  location: 'localização',
+  contact: 'contato'
+};
+/**
+ * Descreve as mensagens citadas para o assistente
+ * @param {Array<Object>} quotes - Citações devolvidas por extractQuote
+ * @returns {string} - Contexto entre colchetes, ou vazio se não houver citações
+ */
+function describeQuotes(quotes) {
+  if (!quotes || quotes.length === 0) return '';
+
+  const lines = quotes.map(quote => {
+    const label = QUOTE_LABELS[quote.type] || 'mensagem';
+    const author = quote.fromBot ? 'do assistente' : 'do cliente';
+    const id = quote.id ? `, ID ${quote.id}` : '';
+    const content = quote.text ? `: "${quote.text}"` : '';
+    return `${label} ${author}${id}${content}`;
+  });
+
+  return `[O cliente está respondendo a ${lines.length === 1 ? 'esta mensagem anterior' : 'estas mensagens anteriores'} – ${lines.join('; ')}] `;
+}
+
+module.exports = {
+  extractQuote,
+  describeQuotes
+};
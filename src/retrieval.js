@@ -0,0 +1,260 @@
+/**
+ * Utilitários de recuperação de conteúdo: normalização, divisão em
+ * trechos (chunks) e pontuadores (BM25 e embeddings)
+ *
+ * Todo pontuador segue o mesmo contrato:
+ *   - name: identificador usado nos logs
+ *   - index(chunks): devolve o índice (estado) preparado para a lista de trechos
+ *   - score(index, query): devolve um array de pontuações alinhado com os trechos
+ *
+ * O índice é devolvido em vez de guardado no pontuador para que um novo
+ * índice possa ser montado enquanto o anterior continua atendendo buscas.
+ */
+
+// Stop-words do português (já sem acentos, pois são comparadas após a normalização)
+const STOP_WORDS = new Set([
+  'a', 'ao', 'aos', 'aquela', 'aquelas', 'aquele', 'aqueles', 'aquilo', 'as', 'ate', 'com', 'como',
+  'da', 'das', 'de', 'dela', 'delas', 'dele', 'deles', 'depois', 'do', 'dos', 'e', 'ela', 'elas',
+  'ele', 'eles', 'em', 'entre', 'era', 'eram', 'essa', 'essas', 'esse', 'esses', 'esta', 'estas',
+  'este', 'estes', 'eu', 'foi', 'foram', 'ha', 'isso', 'isto', 'ja', 'la', 'lhe', 'lhes', 'mais',
+  'mas', 'me', 'mesmo', 'meu', 'meus', 'minha', 'minhas', 'muito', 'na', 'nao', 'nas', 'nem', 'no',
+  'nos', 'nossa', 'nossas', 'nosso', 'nossos', 'num', 'numa', 'o', 'os', 'ou', 'para', 'pela',
+  'pelas', 'pelo', 'pelos', 'por', 'pra', 'qual', 'quando', 'que', 'quem', 'se', 'sem', 'ser',
+  'seu', 'seus', 'so', 'sua', 'suas', 'tambem', 'te', 'tem', 'tenho', 'ter', 'teu', 'tu', 'tua',
+  'um', 'uma', 'umas', 'uns', 'voce', 'voces', 'vos', 'oi', 'ola', 'bom', 'dia', 'boa', 'tarde',
+  'noite', 'gostaria', 'saber', 'sobre', 'quero', 'queria', 'favor'
+]);
+
+/**
+ * Remove acentos e converte para minúsculas
+ * @param {string} text - Texto original
+ * @returns {string} - Texto normalizado
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Divide o texto em termos, sem acentos e sem stop-words
+ * @param {string} text - Texto original
+ * @returns {string[]} - Termos
+ */
+function tokenize(text) {
+  return normalizeText(text)
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Divide um texto em trechos sobrepostos, respeitando limites de palavras
+ * @param {string} text - Texto original
+ * @param {Object} [options]
+ * @param {number} [options.size=800] - Tamanho máximo de cada trecho (caracteres)
+ * @param {number} [options.overlap=150] - Sobreposição entre trechos (caracteres)
+ * @returns {string[]} - Trechos
+ */
+function chunkText(text, { size = 800, overlap = 150 } = {}) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return [];
+  if (clean.length <= size) return [clean];
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+
+    // Recua até o último espaço para não cortar palavras no meio
+    if (end < clean.length) {
+      const lastSpace = clean.lastIndexOf(' ', end);
+      if (lastSpace > start + size / 2) end = lastSpace;
+    }
+
+    chunks.push(clean.slice(start, end).trim());
+    if (end >= clean.length) break;
+
+    // Avança mantendo a sobreposição, começando numa palavra inteira
+    let next = end - overlap;
+    const nextSpace = clean.indexOf(' ', next);
+    if (nextSpace !== -1 && nextSpace < end) next = nextSpace + 1;
+    start = next > start ? next : end;
+  }
+
+  return chunks;
+}
+
+/**
+ * Pontuador BM25 sobre os trechos carregados
+ */
+class Bm25Scorer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1=1.5] - Saturação da frequência do termo
+   * @param {number} [options.b=0.75] - Normalização pelo tamanho do trecho
+   */
+  constructor({ k1 = 1.5, b = 0.75 } = {}) {
+    this.name = 'bm25';
+    this.k1 = k1;
+    this.b = b;
+  }
+  /**
+   * Indexa os trechos
+   * @param {Array<{text: string}>} chunks - Trechos a indexar
+   * @returns {Promise<Object>} - Índice BM25
+   */
+  async index(chunks) {
+    const documents = chunks.map(chunk => {
+      const terms = tokenize(chunk.text);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      return { length: terms.length, frequencies };
+    });
+
+    const documentFrequency = new Map();
+    for (const doc of documents) {
+      for (const term of doc.frequencies.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+    const averageLength = documents.length ? totalLength / documents.length : 0;
+
+    return { documents, documentFrequency, averageLength };
+  }
+  /**
+   * Pontua todos os trechos para a consulta
+   * @param {Object} index - Índice devolvido por index()
+   * @param {string} query - Consulta
+   * @returns {Promise<number[]>} - Pontuações alinhadas com os trechos
+   */
+  async score({ documents, documentFrequency, averageLength }, query) {
+    const terms = [...new Set(tokenize(query))];
+    const total = documents.length;
+
+    return documents.map(doc => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = doc.frequencies.get(term);
+        if (!tf) continue;
+        const df = documentFrequency.get(term) || 0;
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = tf + this.k1 * (1 - this.b + this.b * (doc.length / (averageLength || 1)));
+        score += idf * (tf * (this.k1 + 1)) / norm;
+      }
+      return score;
+    });
+  }
+}
+
+/**
+ * Pontuador por similaridade de embeddings (opcional)
+ *
+ * A similaridade de cosseno entre embeddings da OpenAI quase nunca fica
+ * abaixo de zero; sem um mínimo, até "bom dia" traria trechos "relevantes".
+ */
+class EmbeddingScorer {
+  /**
+   * @param {Object} openai - Cliente da API da OpenAI
+   * @param {string} [model='text-embedding-3-small'] - Modelo de embeddings
+   * @param {Object} [options]
+   * @param {number} [options.minSimilarity=0.35] - Similaridade mínima para o trecho pontuar
+   * @param {Function} [options.call] - (operation, fn) => Promise; executa a chamada à API (limite de vagas e novas tentativas)
+   */
+  constructor(openai, model = 'text-embedding-3-small', { minSimilarity = 0.35, call = (operation, fn) => fn() } = {}) {
+    this.name = 'embeddings';
+    this.openai = openai;
+    this.call = call;
+    this.model = model;
+    this.minSimilarity = minSimilarity;
+    // Vetores por texto: numa recarga só os trechos novos ou alterados são enviados à API
+    this.cache = new Map();
+  }
+  /**
+   * Gera os embeddings de uma lista de textos em lotes
+   * @param {string[]} texts - Textos
+   * @returns {Promise<number[][]>} - Vetores
+   */
+  async embed(texts) {
+    const vectors = [];
+    const batchSize = 100;
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const response = await this.call('embeddings', () => this.openai.embeddings.create({
+        model: this.model,
+        input: texts.slice(i, i + batchSize)
+      }));
+      vectors.push(...response.data.map(item => item.embedding));
+    }
+    return vectors;
+  }
+  /**
+   * Indexa os trechos gerando os embeddings que ainda não estão em cache
+   * @param {Array<{text: string}>} chunks - Trechos a indexar
+   * @returns {Promise<Object>} - Índice com um vetor por trecho
+   */
+  async index(chunks) {
+    const texts = chunks.map(chunk => chunk.text);
+    const missing = [...new Set(texts.filter(text => !this.cache.has(text)))];
+
+    if (missing.length > 0) {
+      const vectors = await this.embed(missing);
+      missing.forEach((text, i) => this.cache.set(text, vectors[i]));
+    }
+
+    // Descarta do cache os textos que não fazem mais parte do conteúdo
+    const current = new Set(texts);
+    for (const text of this.cache.keys()) {
+      if (!current.has(text)) this.cache.delete(text);
+    }
+
+    return { vectors: texts.map(text => this.cache.get(text)) };
+  }
+  /**
+   * Pontua todos os trechos pela similaridade de cosseno com a consulta;
+   * abaixo de minSimilarity o trecho fica com zero
+   * @param {Object} index - Índice devolvido por index()
+   * @param {string} query - Consulta
+   * @returns {Promise<number[]>} - Pontuações alinhadas com os trechos
+   */
+  async score({ vectors }, query) {
+    if (vectors.length === 0) return [];
+    const [queryVector] = await this.embed([query]);
+    return vectors.map(vector => {
+      const similarity = cosineSimilarity(queryVector, vector);
+      return similarity >= this.minSimilarity ? similarity : 0;
+    });
+  }
+}
+
+/**
+ * Similaridade de cosseno entre dois vetores
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+module.exports = {
+  STOP_WORDS,
+  normalizeText,
+  tokenize,
+  chunkText,
+  cosineSimilarity,
+  Bm25Scorer,
+  EmbeddingScorer
+};
@@ -0,0 +1,98 @@
+/**
+ * Novas tentativas para chamadas à OpenAI quando o limite de requisições
+ * é atingido (429) ou o servidor falha (5xx, queda de conexão)
+ */
+
+const RETRYABLE_CODES = ['rate_limit_exceeded', 'server_error'];
+const CONNECTION_ERRORS = ['APIConnectionError', 'APIConnectionTimeoutError'];
+
+/**
+ * Indica se vale tentar a chamada de novo
+ *
+ * Cota esgotada (insufficient_quota) também chega como 429, mas não se
+ * resolve esperando. Quem já produziu efeitos (texto enviado, ferramentas
+ * executadas) marca o erro com retryable = false.
+ * @param {Error} error - Erro da chamada
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error || error.retryable === false) return false;
+  if (error.code === 'insufficient_quota') return false;
+  // O SDK da OpenAI não preenche error.name nas quedas de conexão: vale o nome da classe
+  const errorClass = error.constructor ? error.constructor.name : null;
+  if (CONNECTION_ERRORS.includes(error.name) || CONNECTION_ERRORS.includes(errorClass)) return true;
+  if (RETRYABLE_CODES.includes(error.code)) return true;
+
+  const status = Number(error.status);
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Lê o tempo de espera pedido pela API (retry-after-ms ou Retry-After)
+ * @param {Error} error - Erro da chamada
+ * @returns {number|null} - Espera em ms, ou null se não informada
+ */
+function retryAfterMs(error) {
+  const headers = error && error.headers;
+  if (!headers) return null;
+
+  const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(read('retry-after-ms'));
+  if (!Number.isNaN(ms)) return ms;
+
+  const value = read('retry-after');
+  if (!value) return null;
+
+  // Retry-After vem em segundos ou como data HTTP
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Espera exponencial com jitter: metade fixa, metade sorteada
+ * @param {number} attempt - Tentativa que falhou (1, 2, ...)
+ * @param {Object} [options]
+ * @param {number} [options.baseMs=1000] - Espera depois da primeira falha
+ * @param {number} [options.maxMs=30000] - Espera máxima
+ * @returns {number} - Espera em ms
+ */
+function backoffDelay(attempt, { baseMs = 1000, maxMs = 30000 } = {}) {
+  const delay = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Executa a função, repetindo enquanto o erro permitir
+ * @param {Function} fn - Função assíncrona; recebe o número da tentativa
+ * @param {Object} [options]
+ * @param {number} [options.retries=4] - Tentativas extras depois da primeira
+ * @param {number} [options.baseMs=1000] - Espera depois da primeira falha
+ * @param {number} [options.maxMs=30000] - Espera máxima calculada (Retry-After maior é respeitado)
+ * @param {Function} [options.onRetry] - Chamada antes de cada espera com { attempt, delayMs, error }
+ * @returns {Promise<*>} - Resultado da função
+ * @throws {Error} - Último erro, quando não dá mais para repetir
+ */
+async function withRetry(fn, { retries = 4, baseMs = 1000, maxMs = 30000, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryableError(error)) throw error;
+
+      const delayMs = Math.max(retryAfterMs(error) || 0, backoffDelay(attempt, { baseMs, maxMs }));
+      if (onRetry) await onRetry({ attempt, delayMs, error });
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+module.exports = {
+  isRetryableError,
+  retryAfterMs,
+  backoffDelay,
+  withRetry
+};
@@ -0,0 +1,377 @@
+/**
+ * Contrato do armazenamento de conversas
+ *
+ * Guarda contatos (com thread e datas de interação) e todas as mensagens
+ * recebidas e enviadas. Os métodos são síncronos, como o ThreadManager
+ * que os consome.
+ */
+class BaseStore {
+  /**
+   * Nome do backend, usado em logs e estatísticas
+   * @returns {string}
+   */
+  get name() {
+    return 'base';
+  }
+  /**
+   * Busca um contato
+   * @param {string} jid - JID do WhatsApp
+   * @returns {Object|null} - Contato ou null
+   */
+  getContact(jid) {
+    throw new Error(`getContact não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista contatos, do mais recente para o mais antigo
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @returns {Array<Object>} - Contatos
+   */
+  listContacts(options = {}) {
+    throw new Error(`listContacts não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Conta os contatos
+   * @returns {number}
+   */
+  countContacts() {
+    throw new Error(`countContacts não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Conta os contatos com thread ativa
+   * @returns {number}
+   */
+  countThreads() {
+    throw new Error(`countThreads não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Busca o ID da thread de um contato
+   * @param {string} jid - JID do WhatsApp
+   * @returns {string|null} - ID da thread ou null
+   */
+  getThreadId(jid) {
+    throw new Error(`getThreadId não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Define o ID da thread de um contato (cria o contato se necessário)
+   * @param {string} jid - JID do WhatsApp
+   * @param {string} threadId - ID da thread
+   */
+  setThreadId(jid, threadId) {
+    throw new Error(`setThreadId não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Remove a thread de um contato, preservando o histórico
+   * @param {string} jid - JID do WhatsApp
+   */
+  removeThread(jid) {
+    throw new Error(`removeThread não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Registra uma interação, gravando a data da primeira se ainda não existir
+   * @param {string} jid - JID do WhatsApp
+   * @param {string} [name] - Nome de exibição do contato no WhatsApp
+   */
+  touchContact(jid, name) {
+    throw new Error(`touchContact não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Busca a preferência de resposta do contato
+   * @param {string} jid - JID do WhatsApp
+   * @returns {string|null} - auto, voice, text ou null se nunca definida
+   */
+  getReplyMode(jid) {
+    throw new Error(`getReplyMode não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Define a preferência de resposta do contato (cria o contato se necessário)
+   * @param {string} jid - JID do WhatsApp
+   * @param {string} mode - auto (voz quando o cliente manda áudio), voice ou text
+   */
+  setReplyMode(jid, mode) {
+    throw new Error(`setReplyMode não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Grava uma mensagem recebida ou enviada
+   * @param {Object} message
+   * @param {string} message.jid - JID do WhatsApp
+   * @param {'in'|'out'} message.direction - Recebida (in) ou enviada (out)
+   * @param {string} message.content - Conteúdo
+   * @param {string} [message.mediaType='text'] - Tipo de mídia
+   * @param {number} [message.processingTime] - Tempo de processamento (ms)
+   * @param {string} [message.threadId] - Thread usada
+   * @param {string} [message.author] - JID do atendente, quando enviada pela equipe
+   * @param {string} [message.waMessageId] - ID da mensagem no WhatsApp
+   * @param {Object} [message.metadata] - Dados extras (transcrição, análise de imagem, legenda...)
+   * @returns {number} - ID da mensagem gravada
+   */
+  addMessage(message) {
+    throw new Error(`addMessage não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista as mensagens de um contato em ordem cronológica
+   * @param {string} jid - JID do WhatsApp
+   * @param {Object} [options]
+   * @param {number} [options.limit=100] - Quantidade das mensagens mais recentes
+   * @returns {Array<Object>} - Mensagens
+   */
+  getMessages(jid, options = {}) {
+    throw new Error(`getMessages não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista conversas com a última mensagem e a quantidade de mensagens não lidas
+   * @param {Object} [options]
+   * @param {string} [options.search] - Filtra por número, nome ou conteúdo das mensagens
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @returns {Array<Object>} - Conversas, da mais recente para a mais antiga
+   */
+  listConversations(options = {}) {
+    throw new Error(`listConversations não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Marca as mensagens recebidas de um contato como lidas no inbox
+   * @param {string} jid - JID do WhatsApp
+   */
+  markRead(jid) {
+    throw new Error(`markRead não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Busca o estado de atendimento humano de um contato
+   * @param {string} jid - JID do WhatsApp
+   * @returns {Object|null} - Handoff (active, trigger, reason, agent, started_at, expires_at, released_at) ou null
+   */
+  getHandoff(jid) {
+    throw new Error(`getHandoff não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Grava o estado de atendimento humano de um contato
+   * @param {Object} handoff
+   * @param {string} handoff.jid - JID do WhatsApp
+   * @param {boolean} handoff.active - Se o atendimento humano está ativo
+   * @param {string} [handoff.trigger] - Origem: keyword, intent ou staff
+   * @param {string} [handoff.reason] - Motivo informado
+   * @param {string} [handoff.agent] - JID do atendente que assumiu
+   * @param {string} [handoff.startedAt] - Início (ISO)
+   * @param {string} [handoff.expiresAt] - Expiração (ISO)
+   * @param {string} [handoff.releasedAt] - Devolução ao bot (ISO)
+   */
+  saveHandoff(handoff) {
+    throw new Error(`saveHandoff não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista os atendimentos humanos ativos
+   * @returns {Array<Object>} - Handoffs ativos
+   */
+  listActiveHandoffs() {
+    throw new Error(`listActiveHandoffs não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Busca o lead de um contato
+   * @param {string} jid - JID do WhatsApp
+   * @returns {Object|null} - Lead (company, city, state, grainTypes, capacity, equipmentLines, qualified...) ou null
+   */
+  getLead(jid) {
+    throw new Error(`getLead não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Grava o lead de um contato
+   * @param {Object} lead - Lead no mesmo formato devolvido por getLead
+   */
+  saveLead(lead) {
+    throw new Error(`saveLead não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista os leads, do mais recente para o mais antigo
+   * @param {Object} [options]
+   * @param {boolean} [options.qualifiedOnly=false] - Apenas leads qualificados
+   * @returns {Array<Object>} - Leads
+   */
+  listLeads(options = {}) {
+    throw new Error(`listLeads não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Registra um envio solicitado pela API, com status "queued"
+   * @param {Object} outbound
+   * @param {string} outbound.id - ID do envio
+   * @param {string} outbound.jid - JID do destinatário
+   * @param {string} outbound.type - text, image, document ou template
+   * @param {string} [outbound.content] - Texto ou legenda enviada
+   * @param {string} [outbound.requestedBy] - Cliente da API que pediu o envio
+   * @param {string} [outbound.payload] - Conteúdo do sock.sendMessage em JSON, para retomar depois de reiniciar
+   * @returns {Object} - Envio gravado
+   */
+  createOutbound(outbound) {
+    throw new Error(`createOutbound não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista os envios que não chegaram a sair (queued ou sending), do mais antigo ao mais novo
+   * @returns {Array<Object>}
+   */
+  listPendingOutbound() {
+    throw new Error(`listPendingOutbound não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Busca um envio pelo ID
+   * @param {string} id - ID do envio
+   * @returns {Object|null}
+   */
+  getOutbound(id) {
+    throw new Error(`getOutbound não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Busca um envio pelo ID da mensagem no WhatsApp (para aplicar os recibos)
+   * @param {string} waMessageId - ID da mensagem no WhatsApp
+   * @returns {Object|null}
+   */
+  findOutboundByWaMessageId(waMessageId) {
+    throw new Error(`findOutboundByWaMessageId não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Atualiza o status de um envio, gravando a data de envio, entrega ou leitura
+   * @param {string} id - ID do envio
+   * @param {Object} update
+   * @param {string} update.status - queued, sending, sent, delivered, read ou failed
+   * @param {string} [update.waMessageId] - ID da mensagem no WhatsApp
+   * @param {string} [update.error] - Motivo da falha
+   * @returns {Object|null} - Envio atualizado
+   */
+  updateOutbound(id, update) {
+    throw new Error(`updateOutbound não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Registra o ID de uma mensagem recebida, para ignorar reenvios (ressincronização do histórico)
+   *
+   * A mensagem original fica guardada até o tratamento terminar, para ser
+   * retomada se o bot cair no meio (download ou análise de mídia, por exemplo).
+   * @param {string} waMessageId - ID da mensagem no WhatsApp
+   * @param {string} [jid] - JID da conversa
+   * @param {string} [message] - Mensagem original do Baileys serializada
+   * @returns {boolean} - true se a mensagem ainda não tinha sido vista
+   */
+  markMessageSeen(waMessageId, jid, message) {
+    throw new Error(`markMessageSeen não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Marca o tratamento de uma mensagem recebida como concluído e descarta a mensagem original
+   * @param {string} waMessageId - ID da mensagem no WhatsApp
+   */
+  markMessageHandled(waMessageId) {
+    throw new Error(`markMessageHandled não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista as mensagens recebidas cujo tratamento não terminou, da mais antiga para a mais nova
+   * @returns {Array<Object>} - Registros com wa_message_id, jid e message
+   */
+  listUnhandledMessages() {
+    throw new Error(`listUnhandledMessages não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Remove os IDs de mensagens vistas antes de uma data
+   * @param {string} before - Data limite (ISO)
+   * @returns {number} - Registros removidos
+   */
+  purgeSeenMessages(before) {
+    throw new Error(`purgeSeenMessages não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Grava uma mensagem na fila de processamento, com status "pending"
+   *
+   * Na mesma gravação, o tratamento da mensagem recebida (waMessageId) é marcado como concluído.
+   * @param {Object} job
+   * @param {string} job.jid - Conversa
+   * @param {string} [job.waMessageId] - ID da mensagem no WhatsApp
+   * @param {string} job.type - text, image, audio, document...
+   * @param {string} job.content - Conteúdo enviado ao assistente
+   * @param {Object} [job.options] - Dados extras (grupo, origem em áudio)
+   * @param {string} [job.message] - Mensagem original do Baileys serializada
+   * @returns {number} - ID do job
+   */
+  enqueueJob(job) {
+    throw new Error(`enqueueJob não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Atualiza o status de jobs da fila (processing conta uma tentativa)
+   * @param {number[]} ids - IDs dos jobs
+   * @param {Object} update
+   * @param {string} update.status - pending, processing, replied ou failed
+   * @param {string} [update.error] - Motivo da falha
+   */
+  updateJobs(ids, update) {
+    throw new Error(`updateJobs não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Marca jobs cujo conteúdo já foi gravado na thread do Assistant por uma execução interrompida
+   * @param {number[]} ids - IDs dos jobs
+   */
+  markJobsInThread(ids) {
+    throw new Error(`markJobsInThread não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista os jobs não concluídos (pending ou processing), do mais antigo para o mais novo
+   * @returns {Array<Object>}
+   */
+  listUnfinishedJobs() {
+    throw new Error(`listUnfinishedJobs não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Remove jobs concluídos (replied ou failed) antes de uma data
+   * @param {string} before - Data limite (ISO)
+   * @returns {number} - Jobs removidos
+   */
+  purgeJobs(before) {
+    throw new Error(`purgeJobs não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Agenda um aviso para o próximo expediente (atendimento humano, lead)
+   * @param {Object} notification
+   * @param {string} notification.jid - Contato
+   * @param {string} notification.kind - handoff ou lead
+   * @param {Object} [notification.payload] - Dados do aviso
+   * @param {string} notification.dueAt - Quando entregar (ISO)
+   * @returns {boolean} - false se já havia aviso pendente do mesmo tipo para o contato (abandonados não contam)
+   */
+  deferNotification(notification) {
+    throw new Error(`deferNotification não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Lista os avisos adiados cuja hora de entrega já chegou
+   * @param {string} [now] - Data de referência (ISO)
+   * @returns {Array<Object>}
+   */
+  listDueNotifications(now) {
+    throw new Error(`listDueNotifications não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Marca um aviso adiado como entregue
+   * @param {number} id - ID do aviso
+   */
+  markNotificationDelivered(id) {
+    throw new Error(`markNotificationDelivered não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Registra uma falha na entrega de um aviso adiado (conta uma tentativa)
+   * @param {number} id - ID do aviso
+   * @param {Object} failure
+   * @param {string} failure.error - Motivo da falha
+   * @param {string} [failure.retryAt] - Nova data de entrega (ISO); sem ela o aviso é abandonado
+   */
+  failNotification(id, failure) {
+    throw new Error(`failNotification não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Importa o antigo threadMap.json, apenas na primeira inicialização
+   * @param {string} filePath - Caminho do threadMap.json
+   * @returns {number|null} - Threads importadas, ou null se já migrado
+   * @throws {Error} - Se o arquivo estiver corrompido (a migração fica marcada como feita e uma cópia é guardada)
+   */
+  migrateThreadMap(filePath) {
+    throw new Error(`migrateThreadMap não implementado no armazenamento ${this.name}`);
+  }
+  /**
+   * Fecha o armazenamento
+   */
+  close() {}
+}
+module.exports = BaseStore;
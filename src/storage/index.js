@@ -0,0 +1,17 @@
+const SqliteStore = require('./sqliteStore');
+/**
+ * Cria o armazenamento de conversas configurado
+ * @param {string} name - Nome do backend (sqlite)
+ * @param {Object} options
+ * @param {string} options.dbPath - Caminho do arquivo do banco SQLite
+ * @returns {Object} - Instância do armazenamento
+ */
+function createStore(name, { dbPath }) {
+  switch ((name || 'sqlite').toLowerCase()) {
+    case 'sqlite':
+      return new SqliteStore(dbPath);
+    default:
+      throw new Error(`Armazenamento desconhecido: ${name}`);
+  }
+}
+module.exports = { createStore };
@@ -0,0 +1,538 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const BaseStore = require('./baseStore');
+const { forceString, isValidThreadId } = require('../threadUtils');
+
+// Cada posição é uma versão do schema (PRAGMA user_version); só acrescente ao final
+const MIGRATIONS = [
+  `CREATE TABLE contacts (
+    jid TEXT PRIMARY KEY,
+    thread_id TEXT,
+    first_interaction_at TEXT,
+    last_interaction_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    jid TEXT NOT NULL,
+    direction TEXT NOT NULL CHECK (direction IN ('in', 'out')),
+    content TEXT NOT NULL,
+    media_type TEXT NOT NULL DEFAULT 'text',
+    processing_time INTEGER,
+    thread_id TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_messages_jid ON messages (jid, id);
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );`,
+  `CREATE TABLE handoffs (
+    jid TEXT PRIMARY KEY,
+    active INTEGER NOT NULL DEFAULT 0,
+    trigger TEXT,
+    reason TEXT,
+    agent TEXT,
+    started_at TEXT,
+    expires_at TEXT,
+    released_at TEXT,
+    updated_at TEXT NOT NULL
+  );
+  ALTER TABLE messages ADD COLUMN author TEXT;`,
+  `CREATE TABLE leads (
+    jid TEXT PRIMARY KEY,
+    company TEXT,
+    city TEXT,
+    state TEXT,
+    grain_types TEXT NOT NULL DEFAULT '[]',
+    capacity TEXT,
+    equipment_lines TEXT NOT NULL DEFAULT '[]',
+    qualified INTEGER NOT NULL DEFAULT 0,
+    qualified_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );`,
+  `ALTER TABLE contacts ADD COLUMN name TEXT;
+  ALTER TABLE contacts ADD COLUMN last_read_at TEXT;
+  ALTER TABLE messages ADD COLUMN wa_message_id TEXT;
+  ALTER TABLE messages ADD COLUMN metadata TEXT;
+  CREATE INDEX idx_messages_wa_id ON messages (wa_message_id);`,
+  `CREATE TABLE outbound_messages (
+    id TEXT PRIMARY KEY,
+    jid TEXT NOT NULL,
+    type TEXT NOT NULL,
+    content TEXT,
+    status TEXT NOT NULL,
+    wa_message_id TEXT,
+    error TEXT,
+    requested_by TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    sent_at TEXT,
+    delivered_at TEXT,
+    read_at TEXT
+  );
+  CREATE INDEX idx_outbound_wa_id ON outbound_messages (wa_message_id);`,
+  `ALTER TABLE contacts ADD COLUMN reply_mode TEXT;`,
+  `CREATE TABLE queue_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    jid TEXT NOT NULL,
+    wa_message_id TEXT,
+    type TEXT NOT NULL,
+    content TEXT NOT NULL,
+    options TEXT,
+    message TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'replied', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_queue_jobs_status ON queue_jobs (status, id);
+  CREATE TABLE seen_messages (
+    wa_message_id TEXT PRIMARY KEY,
+    jid TEXT,
+    seen_at TEXT NOT NULL
+  );`,
+  `CREATE TABLE deferred_notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    jid TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    payload TEXT,
+    due_at TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    delivered_at TEXT
+  );
+  CREATE INDEX idx_deferred_notifications_due ON deferred_notifications (delivered_at, due_at);`,
+  `ALTER TABLE outbound_messages ADD COLUMN payload TEXT;`,
+  `ALTER TABLE seen_messages ADD COLUMN message TEXT;
+  ALTER TABLE seen_messages ADD COLUMN handled_at TEXT;
+  ALTER TABLE queue_jobs ADD COLUMN in_thread INTEGER NOT NULL DEFAULT 0;`,
+  `ALTER TABLE deferred_notifications ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+  ALTER TABLE deferred_notifications ADD COLUMN error TEXT;
+  ALTER TABLE deferred_notifications ADD COLUMN failed_at TEXT;`
+];
+
+// Coluna de data gravada quando o envio chega a cada status
+const OUTBOUND_STATUS_COLUMNS = { sent: 'sent_at', delivered: 'delivered_at', read: 'read_at' };
+
+// Colunas públicas de um envio; o payload (com mídias em base64) só é lido para retomar a fila
+const OUTBOUND_COLUMNS = 'id, jid, type, content, status, wa_message_id, error, requested_by, created_at, updated_at, sent_at, delivered_at, read_at';
+/**
+ * Armazenamento de conversas em SQLite embarcado
+ *
+ * Usa WAL para que uma queda no meio de uma gravação não corrompa o banco.
+ */
+class SqliteStore extends BaseStore {
+  /**
+   * @param {string} dbPath - Caminho do arquivo do banco
+   */
+  constructor(dbPath) {
+    super();
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.dbPath = dbPath;
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  get name() {
+    return 'sqlite';
+  }
+  /**
+   * Aplica as migrações de schema pendentes
+   */
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[i]);
+        this.db.pragma(`user_version = ${i + 1}`);
+      })();
+    }
+  }
+
+  getContact(jid) {
+    return this.db.prepare('SELECT * FROM contacts WHERE jid = ?').get(jid) || null;
+  }
+
+  listContacts({ limit = 50, offset = 0 } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM contacts
+      ORDER BY COALESCE(last_interaction_at, created_at) DESC
+      LIMIT ? OFFSET ?
+    `).all(limit, offset);
+  }
+
+  countContacts() {
+    return this.db.prepare('SELECT COUNT(*) AS total FROM contacts').get().total;
+  }
+
+  countThreads() {
+    return this.db.prepare('SELECT COUNT(*) AS total FROM contacts WHERE thread_id IS NOT NULL').get().total;
+  }
+
+  getThreadId(jid) {
+    const row = this.db.prepare('SELECT thread_id FROM contacts WHERE jid = ?').get(jid);
+    return row ? row.thread_id : null;
+  }
+
+  setThreadId(jid, threadId) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO contacts (jid, thread_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (jid) DO UPDATE SET thread_id = excluded.thread_id, updated_at = excluded.updated_at
+    `).run(jid, threadId, now, now);
+  }
+
+  removeThread(jid) {
+    this.db.prepare('UPDATE contacts SET thread_id = NULL, updated_at = ? WHERE jid = ?')
+      .run(new Date().toISOString(), jid);
+  }
+
+  touchContact(jid, name = null) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO contacts (jid, name, first_interaction_at, last_interaction_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (jid) DO UPDATE SET
+        name = COALESCE(excluded.name, contacts.name),
+        first_interaction_at = COALESCE(contacts.first_interaction_at, excluded.first_interaction_at),
+        last_interaction_at = excluded.last_interaction_at,
+        updated_at = excluded.updated_at
+    `).run(jid, name, now, now, now, now);
+  }
+
+  getReplyMode(jid) {
+    const row = this.db.prepare('SELECT reply_mode FROM contacts WHERE jid = ?').get(jid);
+    return row ? row.reply_mode : null;
+  }
+
+  setReplyMode(jid, mode) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO contacts (jid, reply_mode, created_at, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (jid) DO UPDATE SET reply_mode = excluded.reply_mode, updated_at = excluded.updated_at
+    `).run(jid, mode, now, now);
+  }
+
+  addMessage({ jid, direction, content, mediaType = 'text', processingTime = null, threadId = null, author = null, waMessageId = null, metadata = null }) {
+    const result = this.db.prepare(`
+      INSERT INTO messages (jid, direction, content, media_type, processing_time, thread_id, author, wa_message_id, metadata, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(jid, direction, String(content), mediaType, processingTime, threadId, author, waMessageId,
+      metadata ? JSON.stringify(metadata) : null, new Date().toISOString());
+    return Number(result.lastInsertRowid);
+  }
+
+  getMessages(jid, { limit = 100 } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM (
+        SELECT * FROM messages WHERE jid = ? ORDER BY id DESC LIMIT ?
+      ) ORDER BY id ASC
+    `).all(jid, limit).map(row => ({ ...row, metadata: row.metadata ? JSON.parse(row.metadata) : null }));
+  }
+
+  listConversations({ search = '', limit = 50, offset = 0 } = {}) {
+    // % e _ digitados na busca valem como texto, não como curinga
+    const term = `%${search.trim().replace(/[\\%_]/g, '\\$&')}%`;
+    return this.db.prepare(`
+      SELECT
+        c.jid,
+        c.name,
+        c.first_interaction_at,
+        c.last_interaction_at,
+        c.last_read_at,
+        last.content AS last_message,
+        last.direction AS last_direction,
+        last.media_type AS last_media_type,
+        last.created_at AS last_message_at,
+        (
+          SELECT COUNT(*) FROM messages m
+          WHERE m.jid = c.jid AND m.direction = 'in' AND (c.last_read_at IS NULL OR m.created_at > c.last_read_at)
+        ) AS unread
+      FROM contacts c
+      LEFT JOIN messages last ON last.id = (SELECT MAX(id) FROM messages WHERE jid = c.jid)
+      WHERE ? = '%%'
+        OR c.jid LIKE ? ESCAPE '\\'
+        OR c.name LIKE ? ESCAPE '\\'
+        OR EXISTS (SELECT 1 FROM messages m WHERE m.jid = c.jid AND m.content LIKE ? ESCAPE '\\')
+      ORDER BY COALESCE(last.created_at, c.created_at) DESC
+      LIMIT ? OFFSET ?
+    `).all(term, term, term, term, limit, offset);
+  }
+
+  markRead(jid) {
+    this.db.prepare('UPDATE contacts SET last_read_at = ? WHERE jid = ?').run(new Date().toISOString(), jid);
+  }
+
+  getHandoff(jid) {
+    const row = this.db.prepare('SELECT * FROM handoffs WHERE jid = ?').get(jid);
+    return row ? { ...row, active: Boolean(row.active) } : null;
+  }
+
+  saveHandoff({ jid, active, trigger = null, reason = null, agent = null, startedAt = null, expiresAt = null, releasedAt = null }) {
+    this.db.prepare(`
+      INSERT INTO handoffs (jid, active, trigger, reason, agent, started_at, expires_at, released_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (jid) DO UPDATE SET
+        active = excluded.active,
+        trigger = excluded.trigger,
+        reason = excluded.reason,
+        agent = excluded.agent,
+        started_at = excluded.started_at,
+        expires_at = excluded.expires_at,
+        released_at = excluded.released_at,
+        updated_at = excluded.updated_at
+    `).run(jid, active ? 1 : 0, trigger, reason, agent, startedAt, expiresAt, releasedAt, new Date().toISOString());
+  }
+
+  listActiveHandoffs() {
+    return this.db.prepare('SELECT * FROM handoffs WHERE active = 1 ORDER BY started_at ASC').all()
+      .map(row => ({ ...row, active: true }));
+  }
+
+  getLead(jid) {
+    const row = this.db.prepare('SELECT * FROM leads WHERE jid = ?').get(jid);
+    return row ? this.parseLead(row) : null;
+  }
+
+  saveLead({ jid, company = null, city = null, state = null, grainTypes = [], capacity = null, equipmentLines = [], qualified = false, qualifiedAt = null }) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO leads (jid, company, city, state, grain_types, capacity, equipment_lines, qualified, qualified_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (jid) DO UPDATE SET
+        company = excluded.company,
+        city = excluded.city,
+        state = excluded.state,
+        grain_types = excluded.grain_types,
+        capacity = excluded.capacity,
+        equipment_lines = excluded.equipment_lines,
+        qualified = excluded.qualified,
+        qualified_at = excluded.qualified_at,
+        updated_at = excluded.updated_at
+    `).run(jid, company, city, state, JSON.stringify(grainTypes), capacity, JSON.stringify(equipmentLines),
+      qualified ? 1 : 0, qualifiedAt, now, now);
+  }
+
+  listLeads({ qualifiedOnly = false } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM leads ${qualifiedOnly ? 'WHERE qualified = 1' : ''} ORDER BY updated_at DESC
+    `).all().map(row => this.parseLead(row));
+  }
+  /**
+   * Converte a linha do banco no formato usado pelo LeadManager
+   * @param {Object} row
+   * @returns {Object}
+   */
+  parseLead(row) {
+    return {
+      jid: row.jid,
+      company: row.company,
+      city: row.city,
+      state: row.state,
+      grainTypes: JSON.parse(row.grain_types),
+      capacity: row.capacity,
+      equipmentLines: JSON.parse(row.equipment_lines),
+      qualified: Boolean(row.qualified),
+      qualifiedAt: row.qualified_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  createOutbound({ id, jid, type, content = null, requestedBy = null, payload = null }) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO outbound_messages (id, jid, type, content, status, requested_by, payload, created_at, updated_at)
+      VALUES (?, ?, ?, ?, 'queued', ?, ?, ?, ?)
+    `).run(id, jid, type, content, requestedBy, payload, now, now);
+    return this.getOutbound(id);
+  }
+  listPendingOutbound() {
+    return this.db.prepare(`SELECT * FROM outbound_messages WHERE status IN ('queued', 'sending') ORDER BY created_at ASC`).all();
+  }
+  getOutbound(id) {
+    return this.db.prepare(`SELECT ${OUTBOUND_COLUMNS} FROM outbound_messages WHERE id = ?`).get(id) || null;
+  }
+  findOutboundByWaMessageId(waMessageId) {
+    return this.db.prepare(`SELECT ${OUTBOUND_COLUMNS} FROM outbound_messages WHERE wa_message_id = ?`).get(waMessageId) || null;
+  }
+  updateOutbound(id, { status, waMessageId = null, error = null }) {
+    const now = new Date().toISOString();
+    const column = OUTBOUND_STATUS_COLUMNS[status];
+    this.db.prepare(`
+      UPDATE outbound_messages SET
+        status = ?,
+        wa_message_id = COALESCE(?, wa_message_id),
+        error = ?,
+        payload = CASE WHEN ? IN ('queued', 'sending') THEN payload ELSE NULL END,
+        updated_at = ?
+        ${column ? `, ${column} = COALESCE(${column}, ?)` : ''}
+      WHERE id = ?
+    `).run(...[status, waMessageId, error, status, now, ...(column ? [now] : []), id]);
+    return this.getOutbound(id);
+  }
+  markMessageSeen(waMessageId, jid = null, message = null) {
+    const result = this.db.prepare('INSERT OR IGNORE INTO seen_messages (wa_message_id, jid, message, seen_at) VALUES (?, ?, ?, ?)')
+      .run(waMessageId, jid, message, new Date().toISOString());
+    return result.changes === 1;
+  }
+
+  markMessageHandled(waMessageId) {
+    // A mensagem original só serve para retomar o tratamento: sai junto
+    this.db.prepare('UPDATE seen_messages SET handled_at = ?, message = NULL WHERE wa_message_id = ? AND handled_at IS NULL')
+      .run(new Date().toISOString(), waMessageId);
+  }
+
+  listUnhandledMessages() {
+    return this.db.prepare('SELECT * FROM seen_messages WHERE handled_at IS NULL AND message IS NOT NULL ORDER BY seen_at ASC').all();
+  }
+
+  purgeSeenMessages(before) {
+    return this.db.prepare('DELETE FROM seen_messages WHERE seen_at < ?').run(before).changes;
+  }
+
+  enqueueJob({ jid, waMessageId = null, type, content, options = {}, message = null }) {
+    const now = new Date().toISOString();
+    // O job e a conclusão do tratamento da mensagem recebida são gravados juntos:
+    // depois de uma queda, ou o job é retomado ou a mensagem é tratada de novo, nunca os dois
+    return this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO queue_jobs (jid, wa_message_id, type, content, options, message, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+      `).run(jid, waMessageId, type, content, JSON.stringify(options), message, now, now);
+      if (waMessageId) this.markMessageHandled(waMessageId);
+      return Number(result.lastInsertRowid);
+    })();
+  }
+
+  updateJobs(ids, { status, error = null }) {
+    if (ids.length === 0) return;
+
+    // Cada passagem para "processing" conta uma tentativa
+    const update = this.db.prepare(`
+      UPDATE queue_jobs
+      SET status = ?, error = ?, attempts = attempts + ?, updated_at = ?
+      WHERE id = ?
+    `);
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      for (const id of ids) {
+        update.run(status, error, status === 'processing' ? 1 : 0, now, id);
+      }
+    })();
+  }
+
+  markJobsInThread(ids) {
+    if (ids.length === 0) return;
+
+    const update = this.db.prepare('UPDATE queue_jobs SET in_thread = 1, updated_at = ? WHERE id = ?');
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      for (const id of ids) update.run(now, id);
+    })();
+  }
+
+  listUnfinishedJobs() {
+    return this.db.prepare(`SELECT * FROM queue_jobs WHERE status IN ('pending', 'processing') ORDER BY id ASC`).all()
+      .map(row => ({ ...row, options: row.options ? JSON.parse(row.options) : {} }));
+  }
+
+  purgeJobs(before) {
+    return this.db.prepare(`DELETE FROM queue_jobs WHERE status IN ('replied', 'failed') AND updated_at < ?`).run(before).changes;
+  }
+
+  deferNotification({ jid, kind, payload = {}, dueAt }) {
+    // Um aviso pendente por contato e tipo: pedidos repetidos fora do horário viram um só
+    const pending = this.db.prepare('SELECT id FROM deferred_notifications WHERE jid = ? AND kind = ? AND delivered_at IS NULL AND failed_at IS NULL').get(jid, kind);
+    if (pending) return false;
+
+    this.db.prepare(`
+      INSERT INTO deferred_notifications (jid, kind, payload, due_at, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(jid, kind, JSON.stringify(payload), dueAt, new Date().toISOString());
+    return true;
+  }
+
+  listDueNotifications(now = new Date().toISOString()) {
+    return this.db.prepare('SELECT * FROM deferred_notifications WHERE delivered_at IS NULL AND failed_at IS NULL AND due_at <= ? ORDER BY id ASC').all(now)
+      .map(row => ({ ...row, payload: row.payload ? JSON.parse(row.payload) : {} }));
+  }
+
+  markNotificationDelivered(id) {
+    this.db.prepare('UPDATE deferred_notifications SET delivered_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+  }
+
+  failNotification(id, { error, retryAt = null }) {
+    // Sem nova data o aviso é abandonado
+    if (retryAt) {
+      this.db.prepare('UPDATE deferred_notifications SET attempts = attempts + 1, error = ?, due_at = ? WHERE id = ?').run(error, retryAt, id);
+    } else {
+      this.db.prepare('UPDATE deferred_notifications SET attempts = attempts + 1, error = ?, failed_at = ? WHERE id = ?').run(error, new Date().toISOString(), id);
+    }
+  }
+
+  migrateThreadMap(filePath) {
+    if (this.getMeta('threadmap_migrated_at')) return null;
+
+    let parsed = {};
+    if (fs.existsSync(filePath)) {
+      const data = fs.readFileSync(filePath, 'utf8').trim();
+      try {
+        parsed = data ? JSON.parse(data) : {};
+      } catch (error) {
+        // Arquivo corrompido: guarda uma cópia e não tenta de novo a cada início
+        const backupPath = `${filePath}.${Date.now()}.corrompido`;
+        fs.copyFileSync(filePath, backupPath);
+        this.setMeta('threadmap_migrated_at', new Date().toISOString());
+        this.setMeta('threadmap_migration_error', error.message);
+        throw new Error(`threadMap.json inválido (${error.message}); cópia guardada em ${backupPath}`);
+      }
+    }
+
+    let imported = 0;
+    this.db.transaction(() => {
+      for (const [jid, value] of Object.entries(parsed)) {
+        const threadId = forceString(value);
+        if (!isValidThreadId(threadId) || this.getThreadId(jid)) continue;
+        this.setThreadId(jid, threadId);
+        imported++;
+      }
+      this.setMeta('threadmap_migrated_at', new Date().toISOString());
+    })();
+
+    return imported;
+  }
+  /**
+   * Lê um valor da tabela meta
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+  /**
+   * Grava um valor na tabela meta
+   * @param {string} key
+   * @param {string} value
+   */
+  setMeta(key, value) {
+    this.db.prepare(`
+      INSERT INTO meta (key, value) VALUES (?, ?)
+      ON CONFLICT (key) DO UPDATE SET value = excluded.value
+    `).run(key, value);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+module.exports = SqliteStore;
@@ -0,0 +1,50 @@
+/**
+ * Divide uma resposta em streaming em trechos para envio imediato
+ *
+ * O texto é acumulado e, sempre que passa do tamanho mínimo, tudo até a
+ * última quebra de parágrafo é entregue ao onChunk. Os envios acontecem em
+ * ordem, um de cada vez; o que sobrar no fim fica com quem chamou.
+ */
+class StreamChunker {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChunk - Recebe cada trecho (pode ser assíncrona)
+   * @param {number} [options.minChars=300] - Tamanho mínimo de um trecho
+   */
+  constructor({ onChunk, minChars = 300 }) {
+    this.onChunk = onChunk;
+    this.minChars = minChars;
+    this.buffer = '';
+    this.chunks = 0;
+    this.pending = Promise.resolve();
+  }
+  /**
+   * Acrescenta texto recebido do modelo
+   * @param {string} delta - Trecho de texto
+   */
+  push(delta) {
+    this.buffer += delta;
+
+    const cut = this.buffer.lastIndexOf('\n\n');
+    if (cut < this.minChars) return;
+
+    const chunk = this.buffer.substring(0, cut).trim();
+    this.buffer = this.buffer.substring(cut + 2);
+    if (!chunk) return;
+
+    this.chunks++;
+    this.pending = this.pending.then(() => this.onChunk(chunk));
+  }
+  /**
+   * Aguarda os envios pendentes e devolve o texto que ainda não foi entregue
+   * @returns {Promise<string>}
+   */
+  async finish() {
+    await this.pending;
+    const rest = this.buffer;
+    this.buffer = '';
+    return rest;
+  }
+}
+
+module.exports = { StreamChunker };
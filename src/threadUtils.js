@@ -0,0 +1,44 @@
+/**
+ * Funções auxiliares para validação de IDs de thread
+ */
+
+/**
+ * Converte o valor recebido em string (aceita objetos com `id`)
+ * @param {*} value - Valor a ser convertido
+ * @returns {string} - Valor como string
+ */
+function forceString(value) {
+  if (typeof value === 'string') return value;
+  if (value && typeof value === 'object' && value.id) return String(value.id);
+  return String(value || '');
+}
+
+/**
+ * Verifica se o valor é um ID de thread válido
+ * @param {*} threadId - ID a ser validado
+ * @returns {boolean} - Se o ID é válido
+ */
+function isValidThreadId(threadId) {
+  const cleanId = forceString(threadId);
+  return cleanId && cleanId.startsWith('thread_') && cleanId.length > 10;
+}
+
+/**
+ * Garante que o ID de thread é uma string válida
+ * @param {*} threadId - ID a ser validado
+ * @returns {string} - ID limpo
+ * @throws {Error} - Se o ID for inválido
+ */
+function ensureStringThreadId(threadId) {
+  const cleanId = forceString(threadId);
+  if (!isValidThreadId(cleanId)) {
+    throw new Error(`Invalid thread ID: ${cleanId}`);
+  }
+  return cleanId;
+}
+
+module.exports = {
+  forceString,
+  isValidThreadId,
+  ensureStringThreadId
+};
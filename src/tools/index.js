@@ -0,0 +1,13 @@
+const { ToolRegistry } = require('./toolRegistry');
+const { createOrderStatusTool } = require('./orderStatus');
+const { createTechnicalVisitTool } = require('./technicalVisit');
+const { createProductSheetTool } = require('./productSheet');
+const { createSendMediaTool } = require('./sendMedia');
+
+module.exports = {
+  ToolRegistry,
+  createOrderStatusTool,
+  createTechnicalVisitTool,
+  createProductSheetTool,
+  createSendMediaTool
+};
@@ -0,0 +1,40 @@
+/**
+ * Consulta de status de pedido no ERP
+ *
+ * Faz GET em <url>/<número do pedido> e devolve o JSON do ERP ao modelo.
+ * @param {Object} options
+ * @param {string} options.url - Endereço base da consulta (ORDER_STATUS_URL)
+ * @param {string} [options.token] - Token Bearer do ERP
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Object} - Ferramenta para o ToolRegistry
+ */
+function createOrderStatusTool({ url, token = null, timeoutMs = 10000 }) {
+  return {
+    name: 'consultar_pedido',
+    description: 'Consulta o status de produção e entrega de um pedido da Idugel pelo número do pedido.',
+    parameters: {
+      type: 'object',
+      properties: {
+        numero_pedido: { type: 'string', description: 'Número do pedido informado pelo cliente' }
+      },
+      required: ['numero_pedido']
+    },
+    handler: async ({ numero_pedido: orderNumber }) => {
+      const response = await fetch(`${url.replace(/\/$/, '')}/${encodeURIComponent(String(orderNumber).trim())}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (response.status === 404) {
+        return { encontrado: false, numero_pedido: orderNumber };
+      }
+      if (!response.ok) {
+        throw new Error(`ERP respondeu ${response.status}`);
+      }
+
+      return { encontrado: true, pedido: await response.json() };
+    }
+  };
+}
+
+module.exports = { createOrderStatusTool };
@@ -0,0 +1,33 @@
+/**
+ * Ficha técnica de produto a partir da base de conhecimento local
+ * @param {Object} options
+ * @param {Object} options.contentManager - Base de conhecimento (CUSTOM_CONTENT_PATH)
+ * @returns {Object} - Ferramenta para o ToolRegistry
+ */
+function createProductSheetTool({ contentManager }) {
+  return {
+    name: 'ficha_produto',
+    description: 'Busca a ficha técnica de um equipamento da Idugel (capacidade, dimensões, potência, opcionais) nos catálogos.',
+    parameters: {
+      type: 'object',
+      properties: {
+        produto: { type: 'string', description: 'Nome ou modelo do equipamento, por exemplo Titanium 300' }
+      },
+      required: ['produto']
+    },
+    handler: async ({ produto: product }) => {
+      const results = contentManager.hasContent() ? await contentManager.searchContent(`${product} ficha técnica especificações`) : [];
+      if (results.length === 0) {
+        return { encontrado: false, produto: product };
+      }
+
+      return {
+        encontrado: true,
+        produto: product,
+        trechos: results.map(result => ({ fonte: result.source, texto: result.text }))
+      };
+    }
+  };
+}
+
+module.exports = { createProductSheetTool };
@@ -0,0 +1,48 @@
+/**
+ * Envio de um material da biblioteca (catálogo, foto ou vídeo)
+ *
+ * A ferramenta só anota o pedido em context.attachments; o arquivo segue
+ * para o cliente depois do texto da resposta.
+ * @param {Object} options
+ * @param {Object} options.mediaLibrary - Biblioteca de materiais
+ * @returns {Object} - Ferramenta para o ToolRegistry
+ */
+function createSendMediaTool({ mediaLibrary }) {
+  return {
+    name: 'enviar_material',
+    description: 'Envia ao cliente um catálogo, foto ou vídeo da biblioteca de materiais da Idugel, logo depois da sua resposta.',
+    // Os IDs disponíveis são lidos a cada execução, depois que a biblioteca é carregada
+    parameters: () => {
+      const items = mediaLibrary.list();
+      return {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            ...(items.length > 0 ? { enum: items.map(item => item.id) } : {}),
+            description: `Material a enviar. Disponíveis: ${items.map(item => `${item.id} (${item.title}${item.tags.length > 0 ? `; ${item.tags.join(', ')}` : ''})`).join('; ') || 'nenhum'}`
+          }
+        },
+        required: ['id']
+      };
+    },
+    handler: async ({ id }, context) => {
+      const item = mediaLibrary.get(id);
+      if (!item) {
+        return { error: `Material não encontrado: ${id}` };
+      }
+
+      if (context.attachments && !context.attachments.includes(id)) {
+        context.attachments.push(id);
+      }
+
+      return {
+        enviado: item.title,
+        tipo: item.type,
+        observacao: 'O arquivo será enviado logo após a sua resposta; não é preciso colar link.'
+      };
+    }
+  };
+}
+
+module.exports = { createSendMediaTool };
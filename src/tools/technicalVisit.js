@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+/**
+ * Pedido de visita técnica
+ *
+ * Gera um protocolo e repassa o pedido (equipe e webhooks) pelo onRequest;
+ * a data é confirmada depois pela equipe técnica.
+ * @param {Object} options
+ * @param {Function} options.onRequest - (pedido, context) => Promise<void>
+ * @returns {Object} - Ferramenta para o ToolRegistry
+ */
+function createTechnicalVisitTool({ onRequest }) {
+  return {
+    name: 'agendar_visita_tecnica',
+    description: 'Registra um pedido de visita técnica da Idugel para instalação, manutenção ou avaliação de equipamentos. Use depois de saber a cidade e o motivo da visita.',
+    parameters: {
+      type: 'object',
+      properties: {
+        cidade: { type: 'string', description: 'Cidade da visita' },
+        estado: { type: 'string', description: 'UF da visita' },
+        motivo: { type: 'string', description: 'Instalação, manutenção, avaliação ou outro motivo' },
+        equipamento: { type: 'string', description: 'Equipamento envolvido, se informado' },
+        data_preferida: { type: 'string', description: 'Data ou período preferido pelo cliente' },
+        contato: { type: 'string', description: 'Nome de quem vai receber o técnico' }
+      },
+      required: ['cidade', 'motivo']
+    },
+    handler: async (args, context) => {
+      const request = {
+        protocol: `VT-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+        city: args.cidade,
+        state: args.estado || null,
+        reason: args.motivo,
+        equipment: args.equipamento || null,
+        preferredDate: args.data_preferida || null,
+        contact: args.contato || null
+      };
+
+      await onRequest(request, context);
+
+      return {
+        protocolo: request.protocol,
+        status: 'solicitado',
+        proximo_passo: 'A equipe técnica vai confirmar a data com o cliente por este WhatsApp.'
+      };
+    }
+  };
+}
+
+module.exports = { createTechnicalVisitTool };
@@ -0,0 +1,129 @@
+/**
+ * Registro das funções que o assistente pode chamar (function calling)
+ *
+ * Cada ferramenta tem nome, descrição, parâmetros em JSON Schema e um
+ * handler assíncrono. O provedor de LLM executa as chamadas pedidas pelo
+ * modelo e devolve o resultado serializado em JSON.
+ */
+class ToolRegistry {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {number} [deps.timeoutMs=15000] - Tempo máximo de cada chamada
+   */
+  constructor({ logger, timeoutMs = 15000 }) {
+    this.logger = logger;
+    this.timeoutMs = timeoutMs;
+    this.tools = new Map();
+  }
+  /**
+   * Registra uma ferramenta
+   * @param {Object} tool
+   * @param {string} tool.name - Nome exposto ao modelo (letras, números, _ ou -)
+   * @param {string} tool.description - Quando o modelo deve usar a ferramenta
+   * @param {Object|Function} tool.parameters - JSON Schema dos argumentos (ou função que o monta a cada execução)
+   * @param {Function} tool.handler - (args, context) => Promise<Object>
+   * @throws {Error} - Se o nome for inválido ou já estiver registrado
+   */
+  register({ name, description, parameters, handler }) {
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name || '')) {
+      throw new Error(`Nome de ferramenta inválido: ${name}`);
+    }
+    if (this.tools.has(name)) {
+      throw new Error(`Ferramenta já registrada: ${name}`);
+    }
+    this.tools.set(name, {
+      name,
+      description,
+      parameters: parameters || { type: 'object', properties: {} },
+      handler
+    });
+  }
+  /**
+   * Indica se a ferramenta está registrada
+   * @param {string} name - Nome da ferramenta
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+  /**
+   * Quantidade de ferramentas registradas
+   * @returns {number}
+   */
+  size() {
+    return this.tools.size;
+  }
+  /**
+   * Definições no formato de ferramentas da OpenAI
+   * @returns {Array<Object>}
+   */
+  definitions() {
+    return [...this.tools.values()].map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: typeof tool.parameters === 'function' ? tool.parameters() : tool.parameters
+      }
+    }));
+  }
+  /**
+   * Executa uma chamada pedida pelo modelo
+   *
+   * Erros (ferramenta desconhecida, argumentos inválidos, falha ou tempo
+   * esgotado) voltam como { error } para que o modelo explique ao cliente.
+   * @param {string} name - Nome da ferramenta
+   * @param {string} rawArguments - Argumentos em JSON, como enviados pelo modelo
+   * @param {Object} [context] - Dados da conversa (session, from)
+   * @param {Function} [context.onExecute] - Avisada antes de executar, com o nome da ferramenta
+   * @returns {Promise<string>} - Resultado em JSON
+   */
+  async execute(name, rawArguments, context = {}) {
+    const startTime = Date.now();
+    let args = {};
+    let result;
+
+    try {
+      const tool = this.tools.get(name);
+      if (!tool) {
+        throw new Error(`Ferramenta desconhecida: ${name}`);
+      }
+
+      args = rawArguments ? JSON.parse(rawArguments) : {};
+
+      // A partir daqui a chamada pode ter efeitos (agendamentos, envios)
+      if (context.onExecute) context.onExecute(name);
+
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tempo esgotado após ${this.timeoutMs} ms`)), this.timeoutMs);
+      });
+
+      try {
+        result = await Promise.race([tool.handler(args, context), timeout]);
+      } finally {
+        clearTimeout(timer);
+      }
+
+      this.logger.logInfo('🛠️ FERRAMENTA EXECUTADA', {
+        tool: name,
+        from: context.from,
+        arguments: args,
+        duration_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      this.logger.logError('Erro ao executar ferramenta', error, {
+        tool: name,
+        from: context.from,
+        arguments: rawArguments,
+        duration_ms: Date.now() - startTime
+      });
+      result = { error: error.message };
+    }
+
+    return JSON.stringify(result === undefined ? { ok: true } : result);
+  }
+}
+
+module.exports = { ToolRegistry };
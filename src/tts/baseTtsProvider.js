@@ -0,0 +1,32 @@
+/**
+ * Contrato comum dos provedores de síntese de voz (TTS)
+ *
+ * Cada provedor recebe o texto já preparado para leitura e devolve o áudio
+ * no formato que o motor gera; a conversão para Opus/OGG (nota de voz do
+ * WhatsApp) fica no voiceReply.js.
+ */
+class BaseTtsProvider {
+  /**
+   * @param {Object} deps - Dependências compartilhadas
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   */
+  constructor({ logger }) {
+    this.logger = logger;
+  }
+  /**
+   * Nome do provedor, usado em logs
+   * @returns {string}
+   */
+  get name() {
+    return 'base';
+  }
+  /**
+   * Sintetiza o texto em áudio
+   * @param {string} text - Texto a ser falado
+   * @returns {Promise<{buffer: Buffer, format: string}>} - Áudio e extensão do formato (mp3, wav, ogg...)
+   */
+  async synthesize(text) {
+    throw new Error(`synthesize não implementado no provedor de voz ${this.name}`);
+  }
+}
+module.exports = BaseTtsProvider;
@@ -0,0 +1,53 @@
+const BaseTtsProvider = require('./baseTtsProvider');
+/**
+ * Síntese de voz por um servidor HTTP próprio (ex.: Piper ou Coqui rodando na rede local)
+ *
+ * Envia POST com { text, voice } em JSON e espera o áudio no corpo da
+ * resposta; o formato é deduzido do Content-Type.
+ */
+class HttpTtsProvider extends BaseTtsProvider {
+  /**
+   * @param {Object} deps - Dependências compartilhadas
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {string} deps.url - Endereço do servidor de voz
+   * @param {string} [deps.voice] - Voz repassada ao servidor
+   * @param {number} [deps.timeoutMs=30000] - Tempo máximo da requisição
+   */
+  constructor({ logger, url, voice = null, timeoutMs = 30000 }) {
+    super({ logger });
+    if (!url) {
+      throw new Error('TTS_URL não configurada para o provedor de voz http');
+    }
+    this.url = url;
+    this.voice = voice;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get name() {
+    return 'http';
+  }
+
+  async synthesize(text) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, voice: this.voice }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Servidor de voz respondeu ${response.status}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const format = contentType.includes('ogg') ? 'ogg'
+      : contentType.includes('mpeg') || contentType.includes('mp3') ? 'mp3'
+        : 'wav';
+
+    return {
+      buffer: Buffer.from(await response.arrayBuffer()),
+      format
+    };
+  }
+}
+module.exports = HttpTtsProvider;
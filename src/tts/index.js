@@ -0,0 +1,32 @@
+const OpenAiTtsProvider = require('./openaiTtsProvider');
+const HttpTtsProvider = require('./httpTtsProvider');
+/**
+ * Cria o provedor de síntese de voz configurado
+ * @param {string} name - Nome do provedor (openai, http ou none)
+ * @param {Object} deps - Dependências compartilhadas
+ * @param {Object} deps.openai - Cliente padrão da API da OpenAI
+ * @param {Object} deps.logger - Instância do ConversationLogger
+ * @returns {Object|null} - Instância do provedor, ou null com respostas em voz desativadas
+ */
+function createTtsProvider(name, { openai, logger }) {
+  switch ((name || 'openai').toLowerCase()) {
+    case 'openai':
+      return new OpenAiTtsProvider({
+        openai,
+        logger,
+        model: process.env.TTS_MODEL || 'tts-1',
+        voice: process.env.TTS_VOICE || 'nova'
+      });
+    case 'http':
+      return new HttpTtsProvider({
+        logger,
+        url: process.env.TTS_URL,
+        voice: process.env.TTS_VOICE || null
+      });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Provedor de voz desconhecido: ${name}`);
+  }
+}
+module.exports = { createTtsProvider };
@@ -0,0 +1,38 @@
+const BaseTtsProvider = require('./baseTtsProvider');
+/**
+ * Síntese de voz pela API de áudio da OpenAI
+ */
+class OpenAiTtsProvider extends BaseTtsProvider {
+  /**
+   * @param {Object} deps - Dependências compartilhadas
+   * @param {Object} deps.openai - Cliente da API da OpenAI
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {string} [deps.model='tts-1'] - Modelo de voz
+   * @param {string} [deps.voice='nova'] - Voz usada nas respostas
+   */
+  constructor({ openai, logger, model = 'tts-1', voice = 'nova' }) {
+    super({ logger });
+    this.openai = openai;
+    this.model = model;
+    this.voice = voice;
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  async synthesize(text) {
+    const response = await this.openai.audio.speech.create({
+      model: this.model,
+      voice: this.voice,
+      input: text,
+      response_format: 'mp3'
+    });
+
+    return {
+      buffer: Buffer.from(await response.arrayBuffer()),
+      format: 'mp3'
+    };
+  }
+}
+module.exports = OpenAiTtsProvider;
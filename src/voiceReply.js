@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Trechos que não funcionam falados: vão numa mensagem de texto junto com o áudio
+const SPOKEN_REPLACEMENTS = [
+  { pattern: /(?:https?:\/\/|www\.)[^\s)]*[^\s).,;:!?]/gi, label: '🔗', spoken: 'o link abaixo' },
+  { pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, label: '✉️', spoken: 'o e-mail abaixo' },
+  { pattern: /0800[\s-]?\d{3}[\s-]?\d{4}|(?:\+?55\s?)?\(?\d{2}\)?\s?9?\d{4}[\s-]?\d{4}/g, label: '📞', spoken: 'o telefone abaixo' }
+];
+/**
+ * Prepara a resposta do assistente para ser falada
+ *
+ * Links, e-mails e telefones são trocados por uma referência ("o link abaixo")
+ * e devolvidos à parte; formatação do WhatsApp e emojis são removidos.
+ * @param {string} text - Resposta já formatada para o WhatsApp
+ * @returns {{speech: string, fallback: string}} - Texto para a voz e texto complementar (vazio se não houver)
+ */
+function prepareSpeech(text) {
+  let speech = String(text || '');
+  const extras = [];
+
+  for (const { pattern, label, spoken } of SPOKEN_REPLACEMENTS) {
+    speech = speech.replace(pattern, (match) => {
+      extras.push(`${label} ${match.trim()}`);
+      return spoken;
+    });
+  }
+
+  speech = speech
+    .replace(/[*_~`]/g, '')
+    .replace(/^\s*(?:[-•]|\d+[.)])\s+/gm, '')
+    .replace(/\p{Extended_Pictographic}️?/gu, '')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+
+  return {
+    speech,
+    fallback: [...new Set(extras)].join('\n')
+  };
+}
+/**
+ * Converte o áudio do provedor de voz para Opus/OGG, o formato das notas de voz do WhatsApp
+ * @param {Buffer} buffer - Áudio gerado pelo provedor
+ * @param {string} format - Extensão do formato de origem (mp3, wav, ogg...)
+ * @param {Object} [options]
+ * @param {string} [options.ffmpegPath='ffmpeg'] - Executável do ffmpeg
+ * @param {number} [options.timeoutMs=30000] - Tempo máximo do ffmpeg
+ * @returns {Promise<Buffer>} - Áudio em OGG/Opus mono
+ */
+async function transcodeToOpus(buffer, format, { ffmpegPath = 'ffmpeg', timeoutMs = 30000 } = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idugel-voice-'));
+  const inputPath = path.join(workDir, `input.${format || 'bin'}`);
+  const outputPath = path.join(workDir, 'voice.ogg');
+
+  try {
+    fs.writeFileSync(inputPath, buffer);
+
+    await new Promise((resolve, reject) => {
+      execFile(ffmpegPath, [
+        '-hide_banner',
+        '-loglevel', 'error',
+        '-i', inputPath,
+        '-vn',
+        '-ac', '1',
+        '-ar', '48000',
+        '-c:a', 'libopus',
+        '-b:a', '32k',
+        '-application', 'voip',
+        outputPath
+      ], { timeout: timeoutMs }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`ffmpeg falhou: ${stderr || error.message}`));
+          return;
+        }
+        resolve();
+      });
+    });
+
+    return fs.readFileSync(outputPath);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  prepareSpeech,
+  transcodeToOpus
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const EVENTS = [
+  'message.received',
+  'message.replied',
+  'media.transcribed',
+  'media.analyzed',
+  'media.extracted',
+  'connection.open',
+  'connection.close',
+  'handoff.requested',
+  'handoff.released',
+  'lead.qualified',
+  'visit.requested'
+];
+/**
+ * Barramento de eventos para webhooks de saída
+ *
+ * Cada evento é enviado por POST a todos os destinos inscritos, assinado com
+ * HMAC-SHA256. Falhas são repetidas com espera exponencial; esgotadas as
+ * tentativas, a entrega vai para um arquivo de dead-letter (JSON por linha).
+ */
+class WebhookBus {
+  /**
+   * @param {Object} deps
+   * @param {Array<{url: string, secret?: string, events?: string[]}>} deps.endpoints - Destinos ("*" recebe todos os eventos)
+   * @param {Object} deps.logger - Instância do ConversationLogger
+   * @param {string} deps.deadLetterFile - Arquivo das entregas que falharam
+   * @param {number} [deps.maxAttempts=5] - Tentativas por entrega
+   * @param {number} [deps.backoffMs=2000] - Espera antes da segunda tentativa (dobra a cada falha)
+   * @param {number} [deps.timeoutMs=10000] - Tempo máximo de cada requisição
+   */
+  constructor({ endpoints = [], logger, deadLetterFile, maxAttempts = 5, backoffMs = 2000, timeoutMs = 10000 }) {
+    this.endpoints = endpoints
+      .filter(endpoint => endpoint && endpoint.url)
+      .map(endpoint => ({
+        url: endpoint.url,
+        secret: endpoint.secret || '',
+        events: endpoint.events && endpoint.events.length > 0 ? endpoint.events : ['*']
+      }));
+    this.logger = logger;
+    this.deadLetterFile = deadLetterFile;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.timeoutMs = timeoutMs;
+  }
+  /**
+   * Carrega os destinos de um arquivo JSON ([{ url, secret, events }])
+   * @param {string} filePath - Caminho do arquivo
+   * @returns {Array<Object>} - Destinos, ou lista vazia se o arquivo não existir
+   */
+  static loadEndpoints(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return [];
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  /**
+   * Indica se há algum destino configurado
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.endpoints.length > 0;
+  }
+  /**
+   * Publica um evento para os destinos inscritos, sem bloquear quem chamou
+   * @param {string} event - Nome do evento (ex.: message.received)
+   * @param {Object} data - Dados do evento
+   * @returns {void}
+   */
+  emit(event, data) {
+    const targets = this.endpoints.filter(endpoint => endpoint.events.includes('*') || endpoint.events.includes(event));
+    if (targets.length === 0) return;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    for (const endpoint of targets) {
+      this.deliver(endpoint, payload, 1);
+    }
+  }
+  /**
+   * Assina o corpo da requisição: HMAC-SHA256 de "<timestamp>.<corpo>"
+   * @param {string} secret - Segredo do destino
+   * @param {string} timestamp - Valor do cabeçalho X-Idugel-Timestamp
+   * @param {string} body - Corpo JSON
+   * @returns {string} - Assinatura no formato sha256=<hex>
+   */
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+  /**
+   * Tenta entregar o evento, agendando nova tentativa ou o dead-letter em caso de falha
+   * @param {Object} endpoint - Destino
+   * @param {Object} payload - Evento
+   * @param {number} attempt - Número da tentativa
+   * @returns {Promise<void>}
+   */
+  async deliver(endpoint, payload, attempt) {
+    const body = JSON.stringify(payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Idugel-Event': payload.event,
+      'X-Idugel-Delivery': payload.id,
+      'X-Idugel-Timestamp': timestamp
+    };
+    if (endpoint.secret) {
+      headers['X-Idugel-Signature'] = this.sign(endpoint.secret, timestamp, body);
+    }
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook respondeu ${response.status}`);
+      }
+    } catch (error) {
+      if (attempt < this.maxAttempts) {
+        const delay = this.backoffMs * 2 ** (attempt - 1);
+        this.logger.logError('Falha no webhook, nova tentativa agendada', error, {
+          url: endpoint.url,
+          event: payload.event,
+          attempt,
+          retry_in_ms: delay
+        });
+        setTimeout(() => this.deliver(endpoint, payload, attempt + 1), delay);
+        return;
+      }
+
+      this.logger.logError('Webhook descartado após tentativas', error, {
+        url: endpoint.url,
+        event: payload.event,
+        attempts: attempt
+      });
+      this.writeDeadLetter(endpoint, payload, error);
+    }
+  }
+  /**
+   * Grava a entrega que falhou no arquivo de dead-letter
+   * @param {Object} endpoint - Destino
+   * @param {Object} payload - Evento
+   * @param {Error} error - Último erro
+   * @returns {void}
+   */
+  writeDeadLetter(endpoint, payload, error) {
+    const line = JSON.stringify({
+      failed_at: new Date().toISOString(),
+      url: endpoint.url,
+      error: error.message,
+      payload
+    });
+
+    try {
+      fs.mkdirSync(path.dirname(this.deadLetterFile), { recursive: true });
+      fs.appendFileSync(this.deadLetterFile, line + '\n');
+    } catch (writeError) {
+      this.logger.logError('Erro ao gravar dead-letter de webhook', writeError, { path: this.deadLetterFile });
+    }
+  }
+}
+
+module.exports = {
+  WebhookBus,
+  EVENTS
+};
@@ -0,0 +1,67 @@
+/**
+ * Limita quantas tarefas rodam ao mesmo tempo
+ *
+ * A fila de mensagens já processa um contato por vez; o pool limita o total
+ * de chamadas simultâneas ao LLM somando todos os contatos e sessões. As
+ * tarefas excedentes esperam na ordem de chegada.
+ */
+class WorkerPool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=4] - Tarefas simultâneas
+   */
+  constructor({ concurrency = 4 } = {}) {
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.waiting = [];
+  }
+  /**
+   * Indica se uma nova tarefa teria de esperar
+   * @returns {boolean}
+   */
+  isSaturated() {
+    return this.active >= this.concurrency;
+  }
+  /**
+   * Executa a tarefa assim que houver vaga
+   * @param {Function} task - Função assíncrona
+   * @returns {Promise<*>} - Resultado da tarefa
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+  /**
+   * Inicia as próximas tarefas da espera, respeitando o limite
+   * @returns {void}
+   */
+  next() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const { task, resolve, reject } = this.waiting.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
+  }
+  /**
+   * Situação atual, exibida no /stats
+   * @returns {{concurrency: number, active: number, waiting: number}}
+   */
+  status() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      waiting: this.waiting.length
+    };
+  }
+}
+
+module.exports = { WorkerPool };